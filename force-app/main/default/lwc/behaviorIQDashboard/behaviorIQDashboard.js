@@ -3,11 +3,17 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 
 // Apex Controllers
-import getPainPoints from '@salesforce/apex/WorkflowAnalyticsController.getPainPoints';
+import getPainPointPage from '@salesforce/apex/WorkflowAnalyticsController.getPainPointPage';
+import getPainPointCard from '@salesforce/apex/WorkflowAnalyticsController.getPainPointCard';
 import runAutoFix from '@salesforce/apex/WorkflowAnalyticsController.runAutoFix';
-import dismissPainPoint from '@salesforce/apex/PainPointController.dismissPainPoint';
+import dismissPainPointWithReason from '@salesforce/apex/PainPointController.dismissPainPointWithReason';
+import getDismissalReasons from '@salesforce/apex/PainPointController.getDismissalReasons';
 import restoreSuggestion from '@salesforce/apex/WorkflowAnalyticsController.restoreSuggestion';
 import markPainPointResolved from '@salesforce/apex/WorkflowAnalyticsController.markPainPointResolved';
+import bulkDismissPainPoints from '@salesforce/apex/WorkflowAnalyticsController.bulkDismissPainPoints';
+import bulkRestorePainPoints from '@salesforce/apex/WorkflowAnalyticsController.bulkRestorePainPoints';
+import bulkMarkPainPointsResolved from '@salesforce/apex/WorkflowAnalyticsController.bulkMarkPainPointsResolved';
+import bulkAutoFixPainPoints from '@salesforce/apex/WorkflowAnalyticsController.bulkAutoFixPainPoints';
 import getDashboardData from '@salesforce/apex/WorkflowAnalyticsController.getDashboardData';
 import getTotalEventsAnalyzed from '@salesforce/apex/WorkflowAnalyticsController.getTotalEventsAnalyzed';
 import getMonitoredObjectsCount from '@salesforce/apex/WorkflowAnalyticsController.getMonitoredObjectsCount';
@@ -15,33 +21,77 @@ import getActiveUsersCount from '@salesforce/apex/WorkflowAnalyticsController.ge
 import getEnhancedSystemHealth from '@salesforce/apex/WorkflowAnalyticsController.getEnhancedSystemHealth';
 import getSolutionGuide from '@salesforce/apex/SolutionGuideController.getSolutionGuide';
 import getPatternMatches from '@salesforce/apex/PatternAnalysisService.getPatternMatches';
+import { CHANGE_TYPES, subscribeToPainPointChanges, unsubscribeFromPainPointChanges } from 'c/painPointEvents';
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+// Mirrors WorkflowAnalyticsController.MAX_BULK_FIX_SIZE - bulk Auto-Fix runs synchronously
+const MAX_BULK_FIX_SIZE = 5;
+
+const SORT_OPTIONS = [
+    { label: 'Impact', value: 'impact' },
+    { label: 'Occurrences', value: 'occurrences' },
+    { label: 'Last Detected', value: 'lastDetected' },
+    { label: 'Object', value: 'object' }
+];
 
 export default class BehaviorIQDashboard extends LightningElement {
-    @track allPainPoints = [];
+    @track painPoints = []; // Current page only - filtering, sorting and counting run in Apex
     @track metrics = [];
     @track recentLogs = [];
     @track isPremium = false;
     @track isLoading = true;
-    _hasRefreshedOnLoad = false;
+    @track selectedIds = []; // Bulk triage selection - survives paging, cleared on filter change
+    @track bulkResult = null; // Last BulkActionResult, shown as a per-item summary
+    _painPointSubscription;
 
-    // Auto-refresh dashboard data on first load to bypass wire adapter caching
-    // This ensures fresh data is shown immediately after setup wizard completes
+    // Live updates: analysis runs and other admins' triage publish Pain_Point_Changed__e.
+    // The health gauge, trend chart and system health panel subscribe on their own.
     connectedCallback() {
-        // Delay refresh to allow wire adapters to fire first
-        // Using 1 second delay to ensure wires have populated
-        // eslint-disable-next-line @lwc/lwc/no-async-operation
-        setTimeout(() => {
-            if (!this._hasRefreshedOnLoad) {
-                this._hasRefreshedOnLoad = true;
-                this.refreshAllData();
-            }
-        }, 1000);
+        this._painPointSubscription = subscribeToPainPointChanges((change) => this.handlePainPointChange(change));
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPainPointChanges(this._painPointSubscription);
+        this._painPointSubscription = null;
+    }
+
+    handlePainPointChange(change) {
+        if (change.Change_Type__c === CHANGE_TYPES.ANALYSIS_COMPLETE) {
+            this.refreshAllData();
+            return;
+        }
+
+        // Fix and triage changes touch one card and the metrics aggregated from all of them
+        if (this._wiredDashboardResult) refreshApex(this._wiredDashboardResult);
+
+        const card = this.painPoints.find(point =>
+            (change.Pain_Point_Id__c && point.Id === change.Pain_Point_Id__c) ||
+            (change.Unique_Key__c && point.UniqueKey === change.Unique_Key__c));
+        if (card) {
+            this.refreshPainPointCard(card.Id);
+        } else if (this._wiredPainPointsResult) {
+            // Not on this page - the change may still move it onto the page or shift the counts
+            refreshApex(this._wiredPainPointsResult);
+        }
     }
 
-    // Silent refresh (no toast) for auto-refresh on load
+    // Updates one card in place; it keeps its position until the page reloads, even if its new
+    // status no longer matches the current tab
+    async refreshPainPointCard(painPointId) {
+        try {
+            const card = await getPainPointCard({ painPointId });
+            this.painPoints = card
+                ? this.painPoints.map(point => (point.Id === painPointId ? card : point))
+                : this.painPoints.filter(point => point.Id !== painPointId);
+        } catch (error) {
+            if (this._wiredPainPointsResult) refreshApex(this._wiredPainPointsResult);
+        }
+    }
+
+    // Silent refresh (no toast) after an analysis run completes
     // Only refreshes wire results that have been populated (non-null)
     refreshAllData() {
-        this.isLoading = true;
         const refreshPromises = [];
 
         // Only add refreshApex calls for wire results that exist
@@ -52,16 +102,9 @@ export default class BehaviorIQDashboard extends LightningElement {
         if (this._wiredActiveUsersResult) refreshPromises.push(refreshApex(this._wiredActiveUsersResult));
         if (this._wiredSystemHealthResult) refreshPromises.push(refreshApex(this._wiredSystemHealthResult));
 
-        if (refreshPromises.length > 0) {
-            Promise.all(refreshPromises).then(() => {
-                this.refreshHealthGauge();
-                this.isLoading = false;
-            }).catch(() => {
-                this.isLoading = false;
-            });
-        } else {
-            this.isLoading = false;
-        }
+        Promise.all(refreshPromises).catch(() => {
+            // Silent refresh failure - the next change event or manual refresh retries
+        });
     }
 
     // Modal & Tabs
@@ -76,6 +119,17 @@ export default class BehaviorIQDashboard extends LightningElement {
     @track solutionRecordColumns = [];
     @track isSolutionRecordsLoading = false;
 
+    // History Drawer - the pain point whose timeline is open (null when closed)
+    @track historyPainPointId = null;
+
+    // Dismiss Dialog - shared by the card Dismiss button and bulk Dismiss
+    @track isDismissDialogOpen = false;
+    @track dismissReasonOptions = [];
+    @track dismissReason = '';
+    @track dismissNotes = '';
+    @track snoozeUntil = null;
+    _dismissKey = null; // Unique key for a single card; null when dismissing the bulk selection
+
     // Column definitions per object type for Solution Guide records table
     static COLUMN_CONFIG = {
         Case: [
@@ -145,8 +199,18 @@ export default class BehaviorIQDashboard extends LightningElement {
     }
     _isPreviewModalOpen = false;
 
-    // Filter State
+    // Filter, Search, Sort & Paging State (all applied server-side by getPainPointPage)
     @track currentFilter = 'Active';
+    searchTerm = '';
+    sortBy = 'impact';
+    sortDirection = 'desc';
+    pageNumber = 1;
+    pageSize = 20;
+    @track totalCount = 0;
+    @track totalPages = 1;
+    @track filterCounts = {};
+    sortOptions = SORT_OPTIONS;
+    _searchTimeout;
 
     _wiredPainPointsResult;
     _wiredDashboardResult;
@@ -213,6 +277,13 @@ export default class BehaviorIQDashboard extends LightningElement {
     }
 
     // 1. Load Dashboard Data & Force 4-Card Layout
+    @wire(getDismissalReasons)
+    wiredDismissalReasons({ data }) {
+        if (data) {
+            this.dismissReasonOptions = data;
+        }
+    }
+
     @wire(getDashboardData)
     wiredDashboard(result) {
         this._wiredDashboardResult = result;
@@ -317,51 +388,43 @@ export default class BehaviorIQDashboard extends LightningElement {
         return classMap[key] || 'icon-box icon-blue';
     }
 
-    // 2. Load Recommendations
-    @wire(getPainPoints)
+    // 2. Load Recommendations (one page at a time)
+    // Active: not dismissed, not resolved and still has records to remediate
+    // Completed: resolved via auto-fix; Dismissed: manually dismissed by a user
+    @wire(getPainPointPage, {
+        filter: '$currentFilter',
+        searchTerm: '$searchTerm',
+        sortBy: '$sortBy',
+        sortDirection: '$sortDirection',
+        pageNumber: '$pageNumber',
+        pageSize: '$pageSize'
+    })
     wiredData(result) {
         this._wiredPainPointsResult = result;
         if (result.data) {
-            this.allPainPoints = result.data;
+            this.painPoints = result.data.records;
+            this.totalCount = result.data.totalCount;
+            this.totalPages = result.data.totalPages;
+            // The server clamps pages it cannot reach; follow it so the pager matches the rows shown
+            if (result.data.pageNumber && result.data.pageNumber !== this.pageNumber) {
+                this.pageNumber = result.data.pageNumber;
+            }
+            this.filterCounts = result.data.filterCounts || {};
             this.isLoading = false;
         } else if (result.error) {
-            this.allPainPoints = [];
+            this.painPoints = [];
+            this.totalCount = 0;
+            this.totalPages = 1;
+            this.filterCounts = {};
             this.isLoading = false;
         }
     }
 
-    // --- Getters for Filters ---
-    get filteredPainPoints() {
-        if (!this.allPainPoints) return [];
-        let filtered;
-        switch (this.currentFilter) {
-            case 'Active':
-                // Active: Not dismissed AND not resolved AND has records to show
-                // Filter out pain points with empty ExampleRecords (nothing to remediate)
-                filtered = this.allPainPoints.filter(item => {
-                    if (item.Status === 'Dismissed' || item.Status === 'Resolved') {
-                        return false;
-                    }
-                    // Also filter out items with no example records
-                    if (!item.ExampleRecords || item.ExampleRecords === '[]' || item.ExampleRecords === '') {
-                        return false;
-                    }
-                    return true;
-                });
-                break;
-            case 'Completed':
-                // Completed: Successfully fixed (Resolved status)
-                filtered = this.allPainPoints.filter(item => item.Status === 'Resolved');
-                break;
-            case 'Dismissed':
-                // Dismissed: Manually dismissed by user (NOT resolved via auto-fix)
-                filtered = this.allPainPoints.filter(item => item.Status === 'Dismissed');
-                break;
-            default:
-                filtered = this.allPainPoints;
-        }
+    // --- Getters for the current page ---
+    get pagedPainPoints() {
+        if (!this.painPoints) return [];
         // Add computed properties for each point
-        return filtered.map(point => {
+        return this.painPoints.map(point => {
             // Calculate actual record count based on status
             let actualCount = point.Occurrences;
 
@@ -399,27 +462,113 @@ export default class BehaviorIQDashboard extends LightningElement {
                 // Track if item is dismissed for UI (restore vs dismiss button)
                 isDismissed: point.Status === 'Dismissed',
                 // Track if item is completed (resolved via auto-fix)
-                isCompleted: point.Status === 'Resolved'
+                isCompleted: point.Status === 'Resolved',
+                isSelected: this.selectedIds.includes(point.Id),
+                isSnoozed: point.Status === 'Dismissed' && !!point.SnoozeUntil
             };
         });
     }
 
-    get hasPainPoints() { return this.filteredPainPoints.length > 0; }
-    get filteredCount() { return this.filteredPainPoints.length; }
+    get hasPainPoints() { return this.painPoints.length > 0; }
+    get filteredCount() { return this.totalCount; }
+    get pageStart() { return this.totalCount === 0 ? 0 : (this.pageNumber - 1) * this.pageSize + 1; }
+    get pageEnd() { return Math.min(this.pageNumber * this.pageSize, this.totalCount); }
+    get hasMultiplePages() { return this.totalPages > 1; }
+    get isFirstPage() { return this.pageNumber <= 1; }
+    get isLastPage() { return this.pageNumber >= this.totalPages; }
+    get sortDirectionIcon() { return this.sortDirection === 'asc' ? 'utility:arrowup' : 'utility:arrowdown'; }
+    get sortDirectionLabel() { return this.sortDirection === 'asc' ? 'Sort Ascending' : 'Sort Descending'; }
+    get allLabel() { return this.formatFilterLabel('All'); }
+    get activeLabel() { return this.formatFilterLabel('Active'); }
+    get completedLabel() { return this.formatFilterLabel('Completed'); }
+    get dismissedLabel() { return this.formatFilterLabel('Dismissed'); }
     get allVariant() { return this.currentFilter === 'All' ? 'brand' : 'neutral'; }
     get activeVariant() { return this.currentFilter === 'Active' ? 'brand' : 'neutral'; }
     get completedVariant() { return this.currentFilter === 'Completed' ? 'brand' : 'neutral'; }
     get dismissedVariant() { return this.currentFilter === 'Dismissed' ? 'brand' : 'neutral'; }
     get isFixDisabled() { return !this.isPremium; }
     get autoFixButtonTitle() { return this.isPremium ? 'Apply Auto-Fix' : 'Apply Auto-Fix (Premium)'; }
+    get hasSelection() { return this.selectedIds.length > 0; }
+    get selectedCount() { return this.selectedIds.length; }
+    get isPageSelected() { return this.hasPainPoints && this.painPoints.every(point => this.selectedIds.includes(point.Id)); }
+    get isBulkFixDisabled() { return this.isPremium && this.selectedIds.length > MAX_BULK_FIX_SIZE; }
+    get bulkFixTitle() {
+        if (!this.isPremium) return 'Auto-Fix Selected (Premium)';
+        return this.selectedIds.length > MAX_BULK_FIX_SIZE
+            ? `Auto-Fix runs on up to ${MAX_BULK_FIX_SIZE} findings at a time`
+            : 'Auto-Fix Selected';
+    }
+    get hasBulkResult() { return !!this.bulkResult; }
+    get bulkResultSummary() {
+        if (!this.bulkResult) return '';
+        const { action, successCount, skippedCount, failureCount } = this.bulkResult;
+        return `${action}: ${successCount} succeeded, ${skippedCount} skipped, ${failureCount} failed`;
+    }
+    get bulkResultItems() {
+        if (!this.bulkResult) return [];
+        // Successes are covered by the summary line; list only what needs attention
+        return this.bulkResult.results
+            .filter(item => item.status !== 'Success')
+            .map((item, index) => ({
+                ...item,
+                key: `${item.painPointId}-${index}`,
+                label: item.name || item.painPointId,
+                iconName: item.status === 'Failed' ? 'utility:error' : 'utility:info',
+                iconVariant: item.status === 'Failed' ? 'error' : ''
+            }));
+    }
     get hasSolutionRecords() { return this.solutionRecords && this.solutionRecords.length > 0; }
     get solutionRecordCount() { return this.solutionRecords ? this.solutionRecords.length : 0; }
 
     // --- Actions ---
-    filterAll() { this.currentFilter = 'All'; }
-    filterActive() { this.currentFilter = 'Active'; }
-    filterCompleted() { this.currentFilter = 'Completed'; }
-    filterDismissed() { this.currentFilter = 'Dismissed'; }
+    filterAll() { this.applyFilter('All'); }
+    filterActive() { this.applyFilter('Active'); }
+    filterCompleted() { this.applyFilter('Completed'); }
+    filterDismissed() { this.applyFilter('Dismissed'); }
+
+    applyFilter(filter) {
+        this.currentFilter = filter;
+        this.pageNumber = 1;
+        this.selectedIds = [];
+    }
+
+    formatFilterLabel(filter) {
+        const count = this.filterCounts[filter];
+        return count !== undefined ? `${filter} (${count})` : filter;
+    }
+
+    // Debounce search so each keystroke doesn't trigger a server round trip
+    handleSearchChange(event) {
+        const term = event.target.value;
+        clearTimeout(this._searchTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._searchTimeout = setTimeout(() => {
+            this.searchTerm = term;
+            this.pageNumber = 1;
+        }, SEARCH_DEBOUNCE_MS);
+    }
+
+    handleSortChange(event) {
+        this.sortBy = event.detail.value;
+        this.pageNumber = 1;
+    }
+
+    toggleSortDirection() {
+        this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        this.pageNumber = 1;
+    }
+
+    handlePreviousPage() {
+        if (!this.isFirstPage) {
+            this.pageNumber -= 1;
+        }
+    }
+
+    handleNextPage() {
+        if (!this.isLastPage) {
+            this.pageNumber += 1;
+        }
+    }
 
     handleRefresh() {
         this.isLoading = true;
@@ -565,6 +714,8 @@ export default class BehaviorIQDashboard extends LightningElement {
         this.previewObjectApiName = objectApiName;
         this.previewRuleLabel = ruleLabel || objectApiName + ' Fixed Records';
         this.previewFixType = this.mapObjectToFixType(objectApiName);
+        // Pain point ID lets the preview roll fixed records back
+        this.previewPainPointId = event.currentTarget.dataset.id || '';
         // For completed pain points, use Fixed_Record_Ids__c to show only the fixed records
         this.previewExampleRecordIds = fixedRecords || '';
         this.previewFixedRecordIds = ''; // Not needed in read-only mode
@@ -662,9 +813,36 @@ export default class BehaviorIQDashboard extends LightningElement {
         }
     }
 
+    /**
+     * @description Refreshes cards after records were rolled back from the Fixed records view.
+     * The preview stays open so the user can review what could not be reverted.
+     */
+    handlePreviewRollbackComplete() {
+        refreshApex(this._wiredPainPointsResult);
+        this.refreshHealthGauge();
+    }
+
+    // Fix All resolves the pain point server-side when the batch finishes
+    handlePreviewFixJobComplete() {
+        refreshApex(this._wiredPainPointsResult);
+        this.refreshHealthGauge();
+    }
+
+    // An approved fix runs server-side and resolves its pain point there
+    handleApprovalDecided(event) {
+        if (event.detail.status === 'Approved') {
+            refreshApex(this._wiredPainPointsResult);
+            this.refreshHealthGauge();
+        }
+    }
+
     handlePreviewFixComplete(event) {
-        const { fixedCount, remainingCount, ruleDeveloperName, fixedRecordIds } = event.detail;
-        this.handlePreviewClose();
+        const { fixedCount, failedCount, remainingCount, ruleDeveloperName, fixedRecordIds } = event.detail;
+        // Keep the preview open when records failed so the reviewer can read the errors and retry
+        const keepPreviewOpen = failedCount > 0;
+        if (!keepPreviewOpen) {
+            this.handlePreviewClose();
+        }
         this.showToast('Success', `Successfully fixed ${fixedCount} record(s).`, 'success');
 
         // Mark pain point as resolved (handles partial fixes by creating new record for remaining)
@@ -695,7 +873,10 @@ export default class BehaviorIQDashboard extends LightningElement {
                 this.showToast('Error', `Failed to update pain point: ${errorMsg}`, 'error');
             })
             .finally(() => {
-                this._currentPainPointId = null;
+                // A retry from the still-open preview resolves against the same pain point
+                if (!keepPreviewOpen) {
+                    this._currentPainPointId = null;
+                }
                 this.isLoading = false;
             });
         } else {
@@ -708,10 +889,67 @@ export default class BehaviorIQDashboard extends LightningElement {
     handleDismiss(event) {
         const uniqueKey = event.currentTarget.dataset.key;
         if (!uniqueKey) return;
+        this.openDismissDialog(uniqueKey);
+    }
+
+    // --- Dismiss Dialog ---
+
+    get isDismissNotesRequired() { return this.dismissReason === 'Other'; }
+    get dismissDialogTitle() {
+        return this._dismissKey ? 'Dismiss Suggestion' : `Dismiss ${this.selectedCount} Selected`;
+    }
+    get dismissConfirmLabel() { return this.snoozeUntil ? 'Snooze' : 'Dismiss'; }
+    get snoozeMinDate() {
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+        const month = String(tomorrow.getMonth() + 1).padStart(2, '0');
+        const day = String(tomorrow.getDate()).padStart(2, '0');
+        return `${tomorrow.getFullYear()}-${month}-${day}`;
+    }
+
+    openDismissDialog(uniqueKey) {
+        this._dismissKey = uniqueKey;
+        this.dismissReason = '';
+        this.dismissNotes = '';
+        this.snoozeUntil = null;
+        this.isDismissDialogOpen = true;
+    }
+
+    closeDismissDialog() {
+        this.isDismissDialogOpen = false;
+        this._dismissKey = null;
+    }
+
+    handleDismissReasonChange(event) { this.dismissReason = event.detail.value; }
+    handleDismissNotesChange(event) { this.dismissNotes = event.detail.value; }
+    handleSnoozeUntilChange(event) { this.snoozeUntil = event.detail.value || null; }
+
+    handleConfirmDismiss() {
+        const inputs = [...this.template.querySelectorAll('.dismiss-dialog-input')];
+        const allValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        if (!allValid) return;
+
+        const params = {
+            reason: this.dismissReason,
+            notes: this.dismissNotes,
+            snoozeUntil: this.snoozeUntil
+        };
+        const uniqueKey = this._dismissKey;
+        this.closeDismissDialog();
+
+        if (!uniqueKey) {
+            this.runBulkAction(bulkDismissPainPoints, { painPointIds: this.selectedIds, ...params });
+            return;
+        }
+
         this.isLoading = true;
-        dismissPainPoint({ uniqueKey, reason: 'Dismissed via Dashboard' })
+        dismissPainPointWithReason({ uniqueKey, ...params })
             .then(() => {
-                this.showToast('Dismissed', 'Suggestion dismissed', 'success');
+                this.showToast(
+                    params.snoozeUntil ? 'Snoozed' : 'Dismissed',
+                    params.snoozeUntil ? `Suggestion snoozed until ${params.snoozeUntil}` : 'Suggestion dismissed',
+                    'success'
+                );
                 refreshApex(this._wiredPainPointsResult);
                 this.refreshHealthGauge();
             })
@@ -733,10 +971,91 @@ export default class BehaviorIQDashboard extends LightningElement {
             .finally(() => this.isLoading = false);
     }
 
+    // --- Bulk Triage ---
+
+    handleSelectPainPoint(event) {
+        const painPointId = event.target.dataset.id;
+        if (event.target.checked) {
+            if (!this.selectedIds.includes(painPointId)) {
+                this.selectedIds = [...this.selectedIds, painPointId];
+            }
+        } else {
+            this.selectedIds = this.selectedIds.filter(id => id !== painPointId);
+        }
+    }
+
+    handleSelectPage(event) {
+        const pageIds = this.painPoints.map(point => point.Id);
+        if (event.target.checked) {
+            this.selectedIds = [...new Set([...this.selectedIds, ...pageIds])];
+        } else {
+            this.selectedIds = this.selectedIds.filter(id => !pageIds.includes(id));
+        }
+    }
+
+    handleClearSelection() {
+        this.selectedIds = [];
+    }
+
+    handleBulkDismiss() {
+        this.openDismissDialog(null);
+    }
+
+    handleBulkRestore() {
+        this.runBulkAction(bulkRestorePainPoints, { painPointIds: this.selectedIds });
+    }
+
+    handleBulkResolve() {
+        this.runBulkAction(bulkMarkPainPointsResolved, { painPointIds: this.selectedIds });
+    }
+
+    handleBulkAutoFix() {
+        if (!this.isPremium) { this.handlePremiumClick(); return; }
+        this.runBulkAction(bulkAutoFixPainPoints, { painPointIds: this.selectedIds });
+    }
+
+    /**
+     * @description Runs one bulk Apex action for the current selection and shows the per-item summary.
+     * Failed items stay selected so they can be retried.
+     */
+    runBulkAction(apexMethod, params) {
+        this.isLoading = true;
+        apexMethod(params)
+            .then(result => {
+                this.bulkResult = result;
+                const failedIds = result.results
+                    .filter(item => item.status === 'Failed')
+                    .map(item => item.painPointId);
+                this.selectedIds = this.selectedIds.filter(id => failedIds.includes(id));
+                this.showToast(
+                    result.failureCount > 0 ? 'Completed with errors' : 'Success',
+                    this.bulkResultSummary,
+                    result.failureCount > 0 ? 'warning' : 'success'
+                );
+                return refreshApex(this._wiredPainPointsResult);
+            })
+            .then(() => this.refreshHealthGauge())
+            .catch(err => this.showToast('Error', err?.body?.message || 'Bulk action failed', 'error'))
+            .finally(() => { this.isLoading = false; });
+    }
+
+    closeBulkResult() {
+        this.bulkResult = null;
+    }
+
+    // History Drawer
+    handleViewHistory(event) {
+        this.historyPainPointId = event.currentTarget.dataset.id;
+    }
+
+    closeHistoryDrawer() {
+        this.historyPainPointId = null;
+    }
+
     // Modal Helpers
     handleViewDetails(event) {
         const rowId = event.currentTarget.dataset.id;
-        this.selectedRow = this.allPainPoints.find(row => row.Id === rowId);
+        this.selectedRow = this.painPoints.find(row => row.Id === rowId);
         if (this.selectedRow) {
             // Reset records state
             this.solutionRecords = [];
@@ -1,6 +1,7 @@
 import { LightningElement, wire, track, api } from 'lwc';
 import { refreshApex } from '@salesforce/apex';
 import getHealthScore from '@salesforce/apex/WorkflowAnalyticsController.getHealthScore';
+import { subscribeToPainPointChanges, unsubscribeFromPainPointChanges } from 'c/painPointEvents';
 
 export default class BehaviorIQHealthGauge extends LightningElement {
     @track score = 0;
@@ -16,6 +17,17 @@ export default class BehaviorIQHealthGauge extends LightningElement {
 
     // Store wire result for refresh capability
     _wiredHealthScoreResult;
+    _painPointSubscription;
+
+    // Every pain point change can move the score, so any event triggers a refresh
+    connectedCallback() {
+        this._painPointSubscription = subscribeToPainPointChanges(() => this.refresh());
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPainPointChanges(this._painPointSubscription);
+        this._painPointSubscription = null;
+    }
 
     @wire(getHealthScore)
     wiredHealthScore(result) {
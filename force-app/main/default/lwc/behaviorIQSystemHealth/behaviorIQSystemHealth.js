@@ -3,6 +3,7 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getEnhancedSystemHealth from '@salesforce/apex/WorkflowAnalyticsController.getEnhancedSystemHealth';
 import runAnalysisNow from '@salesforce/apex/WorkflowAnalyticsController.runAnalysisNow';
+import { CHANGE_TYPES, subscribeToPainPointChanges, unsubscribeFromPainPointChanges } from 'c/painPointEvents';
 
 export default class BehaviorIQSystemHealth extends LightningElement {
     @track health;
@@ -11,6 +12,21 @@ export default class BehaviorIQSystemHealth extends LightningElement {
     @track isRunning = false;
 
     _wiredHealthResult;
+    _painPointSubscription;
+
+    // The batch publishes Analysis_Complete from finish(), after its System_Health_Log__c is written
+    connectedCallback() {
+        this._painPointSubscription = subscribeToPainPointChanges((change) => {
+            if (change.Change_Type__c === CHANGE_TYPES.ANALYSIS_COMPLETE) {
+                this.refreshHealthStatus();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPainPointChanges(this._painPointSubscription);
+        this._painPointSubscription = null;
+    }
 
     @wire(getEnhancedSystemHealth)
     wiredHealth(result) {
@@ -83,12 +99,7 @@ export default class BehaviorIQSystemHealth extends LightningElement {
                 })
             );
 
-            // Refresh the health status after a short delay to allow batch to update
-            // eslint-disable-next-line @lwc/lwc/no-async-operation
-            setTimeout(() => {
-                this.refreshHealthStatus();
-            }, 3000);
-
+            // The status refreshes when the batch publishes Analysis_Complete
         } catch (error) {
             const errorMessage = error.body?.message || error.message || 'An error occurred';
             this.dispatchEvent(
@@ -2,6 +2,7 @@ import { LightningElement, wire, api } from 'lwc';
 import { refreshApex } from '@salesforce/apex';
 import getTrendData from '@salesforce/apex/WorkflowAnalyticsController.getTrendData';
 import getAggregatedTrendData from '@salesforce/apex/WorkflowAnalyticsController.getAggregatedTrendData';
+import { CHANGE_TYPES, subscribeToPainPointChanges, unsubscribeFromPainPointChanges } from 'c/painPointEvents';
 
 // Allowed color values (hex format) for security validation
 const ALLOWED_COLOR_PATTERN = /^#[0-9A-Fa-f]{6}$/;
@@ -32,6 +33,21 @@ export default class BehaviorIQTrendChart extends LightningElement {
     // Wire result references for refreshApex
     _trendWireResult;
     _aggWireResult;
+    _painPointSubscription;
+
+    // Snapshots are only written by the analysis batch, so fixes and triage don't change the chart
+    connectedCallback() {
+        this._painPointSubscription = subscribeToPainPointChanges((change) => {
+            if (change.Change_Type__c === CHANGE_TYPES.ANALYSIS_COMPLETE) {
+                this.handleRefresh();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPainPointChanges(this._painPointSubscription);
+        this._painPointSubscription = null;
+    }
 
     // Chart configuration
     @api daysBack = 30;
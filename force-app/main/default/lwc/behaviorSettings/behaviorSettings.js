@@ -3,6 +3,7 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getConfigSettings from '@salesforce/apex/BehaviorSettingsController.getConfigSettings';
 import saveConfigSettings from '@salesforce/apex/BehaviorSettingsController.saveConfigSettings';
+import saveApprovalPolicy from '@salesforce/apex/BehaviorSettingsController.saveApprovalPolicy';
 
 // Factory Defaults for Detection Thresholds (BehaviorIQ_Configuration__c)
 const DEFAULT_STALE_CASE_THRESHOLD = 30;
@@ -20,6 +21,10 @@ const DEFAULT_SNAPSHOT_RETENTION = 90;
 const DEFAULT_HEALTH_LOG_RETENTION = 90;
 const DEFAULT_REMEDIATION_RETENTION = 365;
 
+// Fix approval policy - 0 means fixes of any size run without approval
+const DEFAULT_APPROVAL_RECORD_THRESHOLD = 0;
+const MAX_APPROVAL_RECORD_THRESHOLD = 10000;
+
 export default class BehaviorSettings extends LightningElement {
     // Detection Threshold settings (BehaviorIQ_Configuration__c)
     @track staleCaseThreshold;
@@ -37,6 +42,9 @@ export default class BehaviorSettings extends LightningElement {
     @track healthLogRetentionDays;
     @track remediationRetentionDays;
 
+    // Fix approval policy
+    @track approvalRecordThreshold;
+
     @track isLoading = true;
 
     // Wire result reference for refresh
@@ -60,6 +68,7 @@ export default class BehaviorSettings extends LightningElement {
             this.snapshotRetentionDays = data.snapshotRetentionDays || DEFAULT_SNAPSHOT_RETENTION;
             this.healthLogRetentionDays = data.healthLogRetentionDays || DEFAULT_HEALTH_LOG_RETENTION;
             this.remediationRetentionDays = data.remediationRetentionDays || DEFAULT_REMEDIATION_RETENTION;
+            this.approvalRecordThreshold = data.approvalRecordThreshold || DEFAULT_APPROVAL_RECORD_THRESHOLD;
             this.isLoading = false;
         } else if (error) {
             this.showToast('Error', 'Failed to load detection threshold settings.', 'error');
@@ -76,6 +85,7 @@ export default class BehaviorSettings extends LightningElement {
             this.snapshotRetentionDays = DEFAULT_SNAPSHOT_RETENTION;
             this.healthLogRetentionDays = DEFAULT_HEALTH_LOG_RETENTION;
             this.remediationRetentionDays = DEFAULT_REMEDIATION_RETENTION;
+            this.approvalRecordThreshold = DEFAULT_APPROVAL_RECORD_THRESHOLD;
             this.isLoading = false;
         }
     }
@@ -125,6 +135,10 @@ export default class BehaviorSettings extends LightningElement {
             case 'remediationRetentionDays':
                 this.remediationRetentionDays = val;
                 break;
+            case 'approvalRecordThreshold':
+                // A cleared field turns the record limit off
+                this.approvalRecordThreshold = isNaN(val) ? DEFAULT_APPROVAL_RECORD_THRESHOLD : val;
+                break;
             default:
                 break;
         }
@@ -143,6 +157,7 @@ export default class BehaviorSettings extends LightningElement {
         this.snapshotRetentionDays = DEFAULT_SNAPSHOT_RETENTION;
         this.healthLogRetentionDays = DEFAULT_HEALTH_LOG_RETENTION;
         this.remediationRetentionDays = DEFAULT_REMEDIATION_RETENTION;
+        this.approvalRecordThreshold = DEFAULT_APPROVAL_RECORD_THRESHOLD;
 
         this.showToast('Reset', 'All settings reset to defaults. Click Save to apply.', 'info');
     }
@@ -171,6 +186,7 @@ export default class BehaviorSettings extends LightningElement {
         if (!this.validateThreshold(this.snapshotRetentionDays, 'Snapshot Retention', 30, 365)) return;
         if (!this.validateThreshold(this.healthLogRetentionDays, 'Health Log Retention', 30, 365)) return;
         if (!this.validateThreshold(this.remediationRetentionDays, 'Remediation Log Retention', 90, 730)) return;
+        if (!this.validateThreshold(this.approvalRecordThreshold, 'Approval Record Threshold', 0, MAX_APPROVAL_RECORD_THRESHOLD)) return;
 
         this.isLoading = true;
         try {
@@ -188,6 +204,7 @@ export default class BehaviorSettings extends LightningElement {
                 healthLogRetentionDays: this.healthLogRetentionDays,
                 remediationRetentionDays: this.remediationRetentionDays
             });
+            await saveApprovalPolicy({ approvalRecordThreshold: this.approvalRecordThreshold });
 
             this.showToast('Success', 'Settings saved successfully.', 'success');
 
@@ -0,0 +1,141 @@
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getApprovalRequests from '@salesforce/apex/FixApprovalService.getApprovalRequests';
+import approveRequest from '@salesforce/apex/FixApprovalService.approveRequest';
+import rejectRequest from '@salesforce/apex/FixApprovalService.rejectRequest';
+
+const DECISION_COLUMNS = [
+    { label: 'Request', fieldName: 'name', initialWidth: 110 },
+    { label: 'Rule', fieldName: 'ruleLabel', wrapText: true },
+    { label: 'Records', fieldName: 'recordCount', type: 'number', initialWidth: 90 },
+    { label: 'Status', fieldName: 'status', initialWidth: 100 },
+    { label: 'Requested By', fieldName: 'requestedByName' },
+    { label: 'Decided By', fieldName: 'approverName' },
+    {
+        label: 'Decided',
+        fieldName: 'decidedAt',
+        type: 'date',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    { label: 'Comment', fieldName: 'decisionComment', wrapText: true },
+    { label: 'Result', fieldName: 'resultMessage', wrapText: true }
+];
+
+/**
+ * Approvals queue for auto-fixes held by the org approval policy (FixApprovalService).
+ * Approvers read the dry-run summary and approve (which runs the fix) or reject with a comment.
+ * Fires `approvaldecided` with detail { requestId, status } after each decision.
+ */
+export default class FixApprovalQueue extends LightningElement {
+    @track requests = [];
+    @track comments = {}; // Approver comment per request Id
+    decisionColumns = DECISION_COLUMNS;
+    isLoading = true;
+    error = null;
+    workingRequestId = null;
+
+    connectedCallback() {
+        this.loadRequests();
+    }
+
+    loadRequests() {
+        this.isLoading = true;
+        return getApprovalRequests()
+            .then(result => {
+                this.requests = result || [];
+                this.error = null;
+            })
+            .catch(err => {
+                this.error = err?.body?.message || 'Unable to load fix approval requests.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get pendingRequests() {
+        return this.requests.filter(request => request.isPending).map(request => ({
+            ...request,
+            comment: this.comments[request.id] || '',
+            isWorking: this.workingRequestId === request.id,
+            actionsDisabled: !!this.workingRequestId,
+            waitingNote: request.canDecide
+                ? null
+                : 'Waiting for another approver. Requests are decided by a user with the Approve BehaviorIQ Fixes permission other than the requester.'
+        }));
+    }
+
+    get decidedRequests() {
+        return this.requests.filter(request => !request.isPending);
+    }
+
+    get hasPendingRequests() {
+        return this.pendingRequests.length > 0;
+    }
+
+    get hasDecidedRequests() {
+        return this.decidedRequests.length > 0;
+    }
+
+    get pendingCount() {
+        return this.pendingRequests.length;
+    }
+
+    handleRefresh() {
+        this.loadRequests();
+    }
+
+    handleCommentChange(event) {
+        this.comments = { ...this.comments, [event.target.dataset.id]: event.target.value };
+    }
+
+    handleApprove(event) {
+        const requestId = event.currentTarget.dataset.id;
+        this.decide(requestId, approveRequest({ requestId, comment: this.comments[requestId] || null }));
+    }
+
+    handleReject(event) {
+        const requestId = event.currentTarget.dataset.id;
+        if (!(this.comments[requestId] || '').trim()) {
+            this.showToast('Comment Required', 'Add a comment explaining why the fix was rejected.', 'warning');
+            return;
+        }
+        this.decide(requestId, rejectRequest({ requestId, comment: this.comments[requestId] }));
+    }
+
+    decide(requestId, decision) {
+        this.workingRequestId = requestId;
+        decision
+            .then(result => {
+                if (result.status === 'Failed') {
+                    this.showToast('Fix Failed', `${result.name} was approved but the fix could not run: ${result.resultMessage}`, 'error');
+                } else if (result.status === 'Approved') {
+                    this.showToast('Fix Approved', `${result.name}: ${result.resultMessage}`, 'success');
+                } else {
+                    this.showToast('Fix Rejected', `${result.name} was rejected.`, 'info');
+                }
+
+                const remaining = { ...this.comments };
+                delete remaining[requestId];
+                this.comments = remaining;
+                this.dispatchEvent(new CustomEvent('approvaldecided', {
+                    bubbles: true,
+                    composed: true,
+                    detail: { requestId, status: result.status }
+                }));
+                return this.loadRequests();
+            })
+            .catch(err => {
+                this.showToast('Error', err?.body?.message || 'Unable to record the decision.', 'error');
+                // Another approver may have decided first
+                this.loadRequests();
+            })
+            .finally(() => {
+                this.workingRequestId = null;
+            });
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
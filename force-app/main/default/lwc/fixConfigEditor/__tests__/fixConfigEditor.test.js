@@ -0,0 +1,195 @@
+import { createElement } from '@lwc/engine-dom';
+import FixConfigEditor from 'c/fixConfigEditor';
+
+const EXISTING_CONFIG = {
+    notifyOwner: true,
+    batchSize: 50,
+    actions: [
+        { type: 'UpdateField', field: 'Status', value: 'Escalated', skipIfSet: true },
+        { type: 'SendSlackMessage', channel: '#ops', blocks: [{ text: 'Escalated' }] },
+        { type: 'CreateTask', subject: 'Follow up', priority: 'High', dueInDays: 3 }
+    ]
+};
+
+const flushPromises = () => new Promise(process.nextTick);
+
+function createEditor(config, logicType = 'Declarative', fixType = '') {
+    const element = createElement('c-fix-config-editor', {
+        is: FixConfigEditor
+    });
+    element.logicType = logicType;
+    element.fixType = fixType;
+    element.initialConfig = config ? JSON.stringify(config) : '';
+    document.body.appendChild(element);
+    return element;
+}
+
+function getActionLabels(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('.slds-text-title_bold')).map(p => p.textContent);
+}
+
+function getButton(element, title, index) {
+    return element.shadowRoot.querySelectorAll(`lightning-button-icon[title="${title}"]`)[index];
+}
+
+function getActionField(element, fieldName) {
+    return element.shadowRoot.querySelector(`lightning-input[data-field="${fieldName}"]`);
+}
+
+describe('c-fix-config-editor', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('renders one row per declarative action in order', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        expect(getActionLabels(element)).toEqual(['Update Field', 'SendSlackMessage', 'Create Task']);
+        const badges = Array.from(element.shadowRoot.querySelectorAll('.slds-badge')).map(b => b.textContent);
+        expect(badges).toEqual(['1', '2', '3']);
+    });
+
+    it('saves an existing config with extra keys and unknown action types back unchanged', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        expect(element.validate()).toEqual({ isValid: true });
+        expect(JSON.parse(element.getConfigJson())).toEqual(EXISTING_CONFIG);
+    });
+
+    it('shows unknown action types as JSON', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        expect(JSON.parse(textarea.value)).toEqual(EXISTING_CONFIG.actions[1]);
+    });
+
+    it('reorders actions with the move buttons', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        const handler = jest.fn();
+        element.addEventListener('configchange', handler);
+
+        getButton(element, 'Move Down', 0).click();
+        await flushPromises();
+        expect(getActionLabels(element)).toEqual(['SendSlackMessage', 'Update Field', 'Create Task']);
+
+        getButton(element, 'Move Up', 2).click();
+        await flushPromises();
+        expect(getActionLabels(element)).toEqual(['SendSlackMessage', 'Create Task', 'Update Field']);
+
+        const [update, slack, task] = EXISTING_CONFIG.actions;
+        expect(JSON.parse(element.getConfigJson()).actions).toEqual([slack, task, update]);
+        expect(JSON.parse(handler.mock.calls[1][0].detail.config).actions).toEqual([slack, task, update]);
+    });
+
+    it('disables moving the first action up and the last action down', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        expect(getButton(element, 'Move Up', 0).disabled).toBe(true);
+        expect(getButton(element, 'Move Down', 0).disabled).toBe(false);
+        expect(getButton(element, 'Move Up', 2).disabled).toBe(false);
+        expect(getButton(element, 'Move Down', 2).disabled).toBe(true);
+    });
+
+    it('saves dueInDays as an integer', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        const dueInDays = getActionField(element, 'dueInDays');
+        expect(dueInDays.type).toBe('number');
+        dueInDays.value = '10';
+        dueInDays.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const task = JSON.parse(element.getConfigJson()).actions[2];
+        expect(task.dueInDays).toBe(10);
+        expect(element.getConfigJson()).toContain('"dueInDays":10');
+    });
+
+    it('rejects action JSON that does not parse', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.value = '{ "type": "SendSlackMessage", ';
+        textarea.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        const validation = element.validate();
+        expect(validation.isValid).toBe(false);
+        expect(validation.errorMessage).toMatch(/^Action 2 is not valid JSON: /);
+        expect(JSON.parse(element.getConfigJson()).actions).not.toContain(null);
+    });
+
+    it('rejects action JSON without a type', async () => {
+        const element = createEditor(EXISTING_CONFIG);
+        await flushPromises();
+
+        const textarea = element.shadowRoot.querySelector('lightning-textarea');
+        textarea.value = '{ "channel": "#ops" }';
+        textarea.dispatchEvent(new CustomEvent('change'));
+        await flushPromises();
+
+        expect(element.validate()).toEqual({
+            isValid: false,
+            errorMessage: 'Action 2 must be a JSON object with a "type" property.'
+        });
+    });
+
+    it('accepts a detection-only declarative rule with no actions', async () => {
+        let element = createEditor(null);
+        await flushPromises();
+
+        expect(element.validate()).toEqual({ isValid: true });
+        expect(element.getConfigJson()).toBe('');
+
+        document.body.removeChild(element);
+        element = createEditor({ notifyOwner: true });
+        await flushPromises();
+
+        expect(element.validate()).toEqual({ isValid: true });
+        expect(JSON.parse(element.getConfigJson())).toEqual({ notifyOwner: true });
+    });
+
+    it('reports required fields missing from an action', async () => {
+        const element = createEditor({ actions: [{ type: 'UpdateField', value: 'Escalated' }] });
+        await flushPromises();
+
+        expect(element.validate()).toEqual({
+            isValid: false,
+            errorMessage: 'Action 1 (Update Field) is missing: Field API Name'
+        });
+    });
+
+    it('adds and removes actions', async () => {
+        const element = createEditor({ actions: [{ type: 'UpdateField', field: 'Status', value: 'Escalated' }] });
+        await flushPromises();
+
+        element.shadowRoot.querySelector('lightning-button-menu')
+            .dispatchEvent(new CustomEvent('select', { detail: { value: 'CreateTask' } }));
+        await flushPromises();
+        expect(getActionLabels(element)).toEqual(['Update Field', 'Create Task']);
+        expect(JSON.parse(element.getConfigJson()).actions[1]).toEqual({ type: 'CreateTask', priority: 'Normal' });
+
+        getButton(element, 'Remove Action', 0).click();
+        await flushPromises();
+        expect(getActionLabels(element)).toEqual(['Create Task']);
+    });
+
+    it('keeps the fix type form outside declarative rules', async () => {
+        const element = createEditor({ field: 'Status', value: 'Escalated' }, 'Standard', 'Field_Update');
+        await flushPromises();
+
+        expect(element.shadowRoot.querySelector('lightning-button-menu')).toBeNull();
+        expect(element.validate()).toEqual({ isValid: true });
+        expect(JSON.parse(element.getConfigJson())).toEqual({ field: 'Status', value: 'Escalated' });
+    });
+});
@@ -70,13 +70,61 @@ const FIX_TYPE_CONFIGS = {
     }
 };
 
+// Declarative rules (Logic_Type__c = Declarative) run an ordered list of these actions
+// through DeclarativeFixExecutor, all rolled back if one fails
+const ACTION_TYPE_CONFIGS = {
+    'UpdateField': {
+        label: 'Update Field',
+        description: 'Sets a field to a fixed value.',
+        fields: [
+            { name: 'field', label: 'Field API Name', type: 'text', required: true, placeholder: 'e.g., Status__c' },
+            { name: 'value', label: 'New Value', type: 'text', required: false, placeholder: 'e.g., On Hold', helpText: 'Leave blank to clear the field' }
+        ]
+    },
+    'UpdateFieldFromRecord': {
+        label: 'Copy Field Value',
+        description: 'Copies the value of one field on the record into another.',
+        fields: [
+            { name: 'targetField', label: 'Target Field API Name', type: 'text', required: true, placeholder: 'e.g., Status' },
+            { name: 'sourceField', label: 'Source Field API Name', type: 'text', required: true, placeholder: 'e.g., Previous_Status__c' }
+        ]
+    },
+    'CreateTask': {
+        label: 'Create Task',
+        description: 'Creates a follow-up task on each record, owned by the user running the fix.',
+        fields: [
+            { name: 'subject', label: 'Task Subject', type: 'text', required: false, placeholder: 'Action Required' },
+            { name: 'priority', label: 'Priority', type: 'picklist', required: false, options: [
+                { label: 'High', value: 'High' },
+                { label: 'Normal', value: 'Normal' },
+                { label: 'Low', value: 'Low' }
+            ], defaultValue: 'Normal' },
+            { name: 'dueInDays', label: 'Due In (Days)', type: 'number', required: false, placeholder: '1', helpText: 'Number of days from today' }
+        ]
+    },
+    'PostChatter': {
+        label: 'Post to Chatter',
+        description: "Posts a message to each record's Chatter feed.",
+        fields: [
+            { name: 'message', label: 'Message', type: 'textarea', required: false, placeholder: 'This record has been flagged by BehaviorIQ and requires attention.' }
+        ]
+    }
+};
+
 export default class FixConfigEditor extends LightningElement {
     @api fixType = '';
     @api initialConfig = '';
+    @api logicType = '';
 
     @track configValues = {};
     @track _fixType = '';
 
+    // Declarative actions, in run order: { id, type, values, json }
+    @track actions = [];
+    // Top-level Fix_Config__c keys other than "actions", kept as they were
+    _extraConfig = {};
+    _nextActionId = 1;
+
     connectedCallback() {
         this._fixType = this.fixType;
         this.parseInitialConfig();
@@ -107,9 +155,28 @@ export default class FixConfigEditor extends LightningElement {
                 this.configValues = {};
             }
         }
+        this.parseActions(this.configValues);
         this.setDefaults();
     }
 
+    // Split a parsed Fix_Config__c into action rows and the keys around them
+    parseActions(config) {
+        const { actions, ...extraConfig } = config && typeof config === 'object' && !Array.isArray(config) ? config : {};
+        this._extraConfig = extraConfig;
+        this.actions = Array.isArray(actions) ? actions.map(action => this.toActionRow(action)) : [];
+    }
+
+    toActionRow(action) {
+        const { type, ...values } = action && typeof action === 'object' ? action : {};
+        const row = { id: this._nextActionId++, type: type || '', values, json: '' };
+
+        // Types the builder has no form for are edited as JSON so they survive a save
+        if (!ACTION_TYPE_CONFIGS[row.type]) {
+            row.json = JSON.stringify(action, null, 2);
+        }
+        return row;
+    }
+
     // Set default values for fields
     setDefaults() {
         const config = this.currentConfig;
@@ -128,6 +195,9 @@ export default class FixConfigEditor extends LightningElement {
     }
 
     get configDescription() {
+        if (this.isDeclarative) {
+            return 'Runs these actions in order on each record. If any action fails, none of them are applied.';
+        }
         return this.currentConfig ? this.currentConfig.description : '';
     }
 
@@ -154,6 +224,53 @@ export default class FixConfigEditor extends LightningElement {
         return this._fixType === 'No_Action';
     }
 
+    get isDeclarative() {
+        return this.logicType === 'Declarative';
+    }
+
+    get showFixTypeConfig() {
+        return !this.isDeclarative;
+    }
+
+    get addActionOptions() {
+        return Object.keys(ACTION_TYPE_CONFIGS).map(type => ({
+            label: ACTION_TYPE_CONFIGS[type].label,
+            value: type
+        }));
+    }
+
+    get hasActions() {
+        return this.actions.length > 0;
+    }
+
+    get actionRows() {
+        return this.actions.map((action, index) => {
+            const config = ACTION_TYPE_CONFIGS[action.type];
+            return {
+                id: action.id,
+                number: index + 1,
+                label: config ? config.label : (action.type || 'Untyped Action'),
+                description: config ? config.description : 'Edited as JSON. This action type has no form in the builder.',
+                isFirst: index === 0,
+                isLast: index === this.actions.length - 1,
+                isJson: !config,
+                json: action.json,
+                fields: config ? config.fields.map(field => {
+                    const value = action.values[field.name];
+                    return {
+                        ...field,
+                        key: `${action.id}-${field.name}`,
+                        value: value === undefined || value === null ? '' : value,
+                        isText: field.type === 'text',
+                        isNumber: field.type === 'number',
+                        isTextarea: field.type === 'textarea',
+                        isPicklist: field.type === 'picklist'
+                    };
+                }) : []
+            };
+        });
+    }
+
     // Event handlers
     handleInputChange(event) {
         const fieldName = event.target.dataset.field;
@@ -189,9 +306,161 @@ export default class FixConfigEditor extends LightningElement {
         this.fireChange();
     }
 
+    // Declarative action handlers
+    handleAddAction(event) {
+        const type = event.detail.value;
+        const values = {};
+        ACTION_TYPE_CONFIGS[type].fields.forEach(field => {
+            if (field.defaultValue) {
+                values[field.name] = field.defaultValue;
+            }
+        });
+        this.actions = [...this.actions, { id: this._nextActionId++, type, values, json: '' }];
+        this.fireChange();
+    }
+
+    handleRemoveAction(event) {
+        const actionId = parseInt(event.currentTarget.dataset.id, 10);
+        this.actions = this.actions.filter(a => a.id !== actionId);
+        this.fireChange();
+    }
+
+    handleMoveActionUp(event) {
+        this.moveAction(parseInt(event.currentTarget.dataset.id, 10), -1);
+    }
+
+    handleMoveActionDown(event) {
+        this.moveAction(parseInt(event.currentTarget.dataset.id, 10), 1);
+    }
+
+    moveAction(actionId, offset) {
+        const index = this.actions.findIndex(a => a.id === actionId);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.actions.length) {
+            return;
+        }
+        const reordered = [...this.actions];
+        [reordered[index], reordered[target]] = [reordered[target], reordered[index]];
+        this.actions = reordered;
+        this.fireChange();
+    }
+
+    handleActionInputChange(event) {
+        let value = event.target.value;
+
+        // DeclarativeFixExecutor reads numbers (dueInDays) as Integer
+        if (event.target.type === 'number' && value !== '') {
+            value = parseInt(value, 10);
+        }
+
+        this.updateActionValue(parseInt(event.target.dataset.actionId, 10), event.target.dataset.field, value);
+    }
+
+    handleActionPicklistChange(event) {
+        this.updateActionValue(parseInt(event.target.dataset.actionId, 10), event.target.dataset.field, event.detail.value);
+    }
+
+    updateActionValue(actionId, fieldName, value) {
+        this.actions = this.actions.map(a => (
+            a.id === actionId ? { ...a, values: { ...a.values, [fieldName]: value } } : a
+        ));
+        this.fireChange();
+    }
+
+    handleActionJsonChange(event) {
+        const actionId = parseInt(event.target.dataset.actionId, 10);
+        const json = event.target.value;
+        this.actions = this.actions.map(a => (a.id === actionId ? { ...a, json } : a));
+        this.fireChange();
+    }
+
+    // Parse the JSON of an action row the builder has no form for; throws a SyntaxError if it isn't JSON
+    parseActionJson(action) {
+        return JSON.parse(action.json);
+    }
+
+    // Serialize one action row; unknown keys of a known action type are kept
+    serializeAction(action) {
+        if (!ACTION_TYPE_CONFIGS[action.type]) {
+            return this.parseActionJson(action);
+        }
+
+        const serialized = { type: action.type };
+        Object.keys(action.values).forEach(key => {
+            const value = action.values[key];
+            if (value !== '' && value !== null && value !== undefined) {
+                serialized[key] = value;
+            }
+        });
+        return serialized;
+    }
+
+    getActionsConfigJson() {
+        const config = { ...this._extraConfig };
+        if (this.actions.length > 0) {
+            // JSON that doesn't parse is left out until it's fixed; validate() blocks the save meanwhile
+            config.actions = this.actions.reduce((serialized, action) => {
+                try {
+                    serialized.push(this.serializeAction(action));
+                } catch (e) {
+                    // Not JSON yet
+                }
+                return serialized;
+            }, []);
+        }
+        return Object.keys(config).length > 0 ? JSON.stringify(config) : '';
+    }
+
+    // No actions is a detection-only rule; only the actions that exist are checked
+    validateActions() {
+        for (let i = 0; i < this.actions.length; i++) {
+            const action = this.actions[i];
+            const config = ACTION_TYPE_CONFIGS[action.type];
+
+            if (!config) {
+                let parsed;
+                try {
+                    parsed = this.parseActionJson(action);
+                } catch (e) {
+                    return {
+                        isValid: false,
+                        errorMessage: `Action ${i + 1} is not valid JSON: ${e.message}`
+                    };
+                }
+                if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed) || !parsed.type) {
+                    return {
+                        isValid: false,
+                        errorMessage: `Action ${i + 1} must be a JSON object with a "type" property.`
+                    };
+                }
+                continue;
+            }
+
+            const missingFields = config.fields
+                .filter(field => field.required)
+                .filter(field => {
+                    const value = action.values[field.name];
+                    return value === undefined || value === null || value === '';
+                })
+                .map(field => field.label);
+            if (missingFields.length > 0) {
+                return {
+                    isValid: false,
+                    errorMessage: `Action ${i + 1} (${config.label}) is missing: ${missingFields.join(', ')}`
+                };
+            }
+        }
+
+        return { isValid: true };
+    }
+
     // Get the JSON config string
     @api
     getConfigJson() {
+        if (this.isDeclarative) {
+            return this.getActionsConfigJson();
+        }
+
         if (!this.hasFields) {
             return '';
         }
@@ -213,6 +482,10 @@ export default class FixConfigEditor extends LightningElement {
     // Validate required fields
     @api
     validate() {
+        if (this.isDeclarative) {
+            return this.validateActions();
+        }
+
         if (!this.currentConfig || !this.currentConfig.fields) {
             return { isValid: true };
         }
@@ -242,6 +515,8 @@ export default class FixConfigEditor extends LightningElement {
     @api
     clear() {
         this.configValues = {};
+        this.actions = [];
+        this._extraConfig = {};
         this.setDefaults();
         this.fireChange();
     }
@@ -258,6 +533,7 @@ export default class FixConfigEditor extends LightningElement {
         } else {
             this.configValues = {};
         }
+        this.parseActions(this.configValues);
         this.setDefaults();
     }
 
@@ -0,0 +1,128 @@
+import { LightningElement, api } from 'lwc';
+import getPainPointHistory from '@salesforce/apex/PainPointHistoryController.getPainPointHistory';
+import { subscribeToPainPointChanges, unsubscribeFromPainPointChanges } from 'c/painPointEvents';
+
+// Sparkline viewBox - the SVG scales to the drawer width
+const SPARK_WIDTH = 280;
+const SPARK_HEIGHT = 48;
+const SPARK_PADDING = 4;
+
+const TYPE_FILTERS = [
+    { label: 'All', value: 'All' },
+    { label: 'Detections', value: 'Snapshot' },
+    { label: 'Fixes', value: 'Remediation' },
+    { label: 'Status', value: 'Status' }
+];
+
+/**
+ * @description Side drawer for a single Identified_Pain_Point__c. Shows the occurrence history as a
+ * sparkline and merges snapshots, remediation logs and status changes into one timeline.
+ * Fires `close` when the user dismisses the drawer.
+ */
+export default class PainPointDetailDrawer extends LightningElement {
+    history = null;
+    isLoading = false;
+    errorMessage = '';
+    typeFilter = 'All';
+
+    _painPointId;
+    _painPointSubscription;
+
+    @api
+    get painPointId() {
+        return this._painPointId;
+    }
+    set painPointId(value) {
+        const changed = value !== this._painPointId;
+        this._painPointId = value;
+        if (changed && value) {
+            this.typeFilter = 'All';
+            this.loadHistory();
+        }
+    }
+
+    // Only reload when the change is about this pain point, or the batch re-ran everything
+    connectedCallback() {
+        this._painPointSubscription = subscribeToPainPointChanges((change) => {
+            if (!change.Pain_Point_Id__c || change.Pain_Point_Id__c === this._painPointId) {
+                this.loadHistory();
+            }
+        });
+    }
+
+    disconnectedCallback() {
+        unsubscribeFromPainPointChanges(this._painPointSubscription);
+        this._painPointSubscription = null;
+    }
+
+    loadHistory() {
+        if (!this._painPointId) return;
+        this.isLoading = true;
+        this.errorMessage = '';
+        getPainPointHistory({ painPointId: this._painPointId })
+            .then(result => {
+                this.history = result;
+            })
+            .catch(error => {
+                this.history = null;
+                this.errorMessage = error?.body?.message || 'Unable to load history.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get title() { return this.history ? this.history.name : 'Pain Point History'; }
+    get hasHistory() { return !!this.history; }
+    get hasError() { return !!this.errorMessage; }
+    get typeFilterOptions() { return TYPE_FILTERS; }
+    get isTruncated() { return this.history?.isTruncated; }
+
+    get hasSparkline() { return this.history?.sparkline?.length > 1; }
+    get sparkViewBox() { return `0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`; }
+
+    get sparkPoints() {
+        const data = this.history?.sparkline || [];
+        if (data.length < 2) return '';
+        const counts = data.map(point => point.recordCount || 0);
+        const max = Math.max(...counts);
+        const min = Math.min(...counts);
+        const range = max - min || 1;
+        const stepX = (SPARK_WIDTH - SPARK_PADDING * 2) / (data.length - 1);
+        return counts.map((count, index) => {
+            const x = SPARK_PADDING + index * stepX;
+            const y = SPARK_HEIGHT - SPARK_PADDING - ((count - min) / range) * (SPARK_HEIGHT - SPARK_PADDING * 2);
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+    }
+
+    get sparkRange() {
+        const data = this.history?.sparkline || [];
+        if (data.length === 0) return '';
+        const first = data[0];
+        const last = data[data.length - 1];
+        return `${first.formattedDate}: ${first.recordCount} → ${last.formattedDate}: ${last.recordCount}`;
+    }
+
+    get timelineItems() {
+        const events = this.history?.events || [];
+        return events
+            .filter(event => this.typeFilter === 'All' || event.eventType === this.typeFilter)
+            .map(event => ({
+                ...event,
+                itemClass: `timeline-item timeline-item_${event.eventType.toLowerCase()}`,
+                iconVariant: event.isError ? 'error' : null,
+                isDateOnly: event.eventType === 'Snapshot'
+            }));
+    }
+
+    get hasTimelineItems() { return this.timelineItems.length > 0; }
+
+    handleTypeFilterChange(event) {
+        this.typeFilter = event.detail.value;
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
@@ -0,0 +1,68 @@
+import { subscribe, unsubscribe, onError } from 'lightning/empApi';
+
+// Platform event published by PainPointEventService (namespaced in the packaged org)
+const CHANNEL = '/event/biq__Pain_Point_Changed__e';
+const NAMESPACE_PREFIX = 'biq__';
+
+/**
+ * @description Change types carried in Change_Type__c - mirror the PainPointEventService constants.
+ */
+export const CHANGE_TYPES = {
+    ANALYSIS_COMPLETE: 'Analysis_Complete',
+    FIXED: 'Fixed',
+    RESOLVED: 'Resolved',
+    DISMISSED: 'Dismissed',
+    RESTORED: 'Restored'
+};
+
+let errorHandlerRegistered = false;
+
+/**
+ * @description Strips the package namespace from payload keys so callers can read
+ * change.Change_Type__c whether or not the org is namespaced.
+ */
+function normalizePayload(payload) {
+    const change = {};
+    Object.keys(payload || {}).forEach((key) => {
+        const field = key.startsWith(NAMESPACE_PREFIX) ? key.substring(NAMESPACE_PREFIX.length) : key;
+        change[field] = payload[key];
+    });
+    return change;
+}
+
+/**
+ * @description Subscribes to pain point change events.
+ * @param {Function} callback Receives the normalized event payload
+ * @returns {Promise<Object>} The empApi subscription, to pass to unsubscribeFromPainPointChanges
+ */
+export function subscribeToPainPointChanges(callback) {
+    if (!errorHandlerRegistered) {
+        errorHandlerRegistered = true;
+        onError((error) => {
+            console.error('Pain point event channel error:', JSON.stringify(error));
+        });
+    }
+
+    // -1 = new events only; the components load current state through their wires
+    return subscribe(CHANNEL, -1, (message) => {
+        callback(normalizePayload(message?.data?.payload));
+    }).catch((error) => {
+        console.error('Unable to subscribe to pain point changes:', error);
+        return null;
+    });
+}
+
+/**
+ * @description Releases a subscription created by subscribeToPainPointChanges.
+ * @param {Promise<Object>} subscriptionPromise The value returned when subscribing
+ */
+export function unsubscribeFromPainPointChanges(subscriptionPromise) {
+    if (!subscriptionPromise) {
+        return;
+    }
+    subscriptionPromise.then((subscription) => {
+        if (subscription) {
+            unsubscribe(subscription, () => {});
+        }
+    });
+}
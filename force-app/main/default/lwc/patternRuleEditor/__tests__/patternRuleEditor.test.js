@@ -0,0 +1,222 @@
+import { createElement } from '@lwc/engine-dom';
+import PatternRuleEditor from 'c/patternRuleEditor';
+import getAvailableObjects from '@salesforce/apex/PatternRuleManagerController.getAvailableObjects';
+import getFixTypeOptions from '@salesforce/apex/PatternRuleManagerController.getFixTypeOptions';
+import getLogicTypeOptions from '@salesforce/apex/PatternRuleManagerController.getLogicTypeOptions';
+import savePatternRule from '@salesforce/apex/PatternRuleManagerController.savePatternRule';
+import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+import getThresholdTokens from '@salesforce/apex/PatternRuleManagerController.getThresholdTokens';
+import validateQueryCondition from '@salesforce/apex/PatternRuleManagerController.validateQueryCondition';
+
+// Mock Apex methods
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getAvailableObjects',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getFixTypeOptions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getLogicTypeOptions',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getPluginClasses',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.savePatternRule',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+// Apex behind the query condition builder of Declarative rules
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getObjectFields',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getRelationshipFields',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getChildRelationships',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getPicklistValues',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.validateQueryCondition',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.countConditionMatches',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getThresholdTokens',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+// Standard rules show their query read-only, so no condition builder is rendered
+const MOCK_RULE = {
+    developerName: 'Stale_Case_30',
+    label: 'Stale Cases',
+    objectApiName: 'Case',
+    logicType: 'Standard',
+    queryCondition: 'LastModifiedDate < LAST_N_DAYS:30',
+    fixType: 'Field_Update',
+    fixConfig: '{"field":"Status","value":"Escalated"}',
+    isActive: true,
+    schedule: '0 0 6 ? * MON-FRI',
+    lastRunTime: '2026-10-18T06:00:00.000Z',
+    nextRunTime: '2026-10-19T06:00:00.000Z'
+};
+
+// Declarative rule that only detects: no fix actions configured
+const MOCK_DETECTION_ONLY_RULE = {
+    developerName: 'Stale_Case_Declarative',
+    label: 'Stale Cases (Declarative)',
+    objectApiName: 'Case',
+    logicType: 'Declarative',
+    queryCondition: "Status = 'New'",
+    fixType: 'No_Action',
+    fixConfig: '',
+    isActive: true,
+    schedule: 'Daily'
+};
+
+// Helper to flush promises
+const flushPromises = () => new Promise(process.nextTick);
+
+async function createEditor(rule) {
+    getAvailableObjects.mockResolvedValue([{ label: 'Case', value: 'Case', isCustom: false }]);
+    getFixTypeOptions.mockResolvedValue([{ label: 'Field Update', value: 'Field_Update' }]);
+    getLogicTypeOptions.mockResolvedValue([{ label: 'Standard', value: 'Standard' }]);
+
+    const element = createElement('c-pattern-rule-editor', { is: PatternRuleEditor });
+    element.mode = 'edit';
+    element.rule = rule;
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function getScheduleCombobox(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-combobox'))
+        .find(combobox => combobox.name === 'schedule');
+}
+
+function getCronInput(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-input'))
+        .find(input => input.label === 'Cron Expression');
+}
+
+async function save(element) {
+    const saveButton = Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find(button => button.label === 'Save Changes');
+    saveButton.click();
+    await flushPromises();
+}
+
+describe('c-pattern-rule-editor', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('loads a cron schedule as a custom schedule', async () => {
+        const element = await createEditor(MOCK_RULE);
+
+        expect(getScheduleCombobox(element).value).toBe('Custom');
+        expect(getCronInput(element).value).toBe('0 0 6 ? * MON-FRI');
+    });
+
+    it('matches schedule presets case-insensitively and defaults blank schedules to daily', async () => {
+        let element = await createEditor({ ...MOCK_RULE, schedule: 'hourly' });
+        expect(getScheduleCombobox(element).value).toBe('Hourly');
+        expect(getCronInput(element)).toBeUndefined();
+
+        document.body.removeChild(element);
+        element = await createEditor({ ...MOCK_RULE, schedule: null });
+        expect(getScheduleCombobox(element).value).toBe('Daily');
+    });
+
+    it('shows the last and next run in edit mode', async () => {
+        const element = await createEditor(MOCK_RULE);
+
+        const runTimes = Array.from(element.shadowRoot.querySelectorAll('lightning-formatted-date-time'))
+            .map(dateTime => dateTime.value);
+        expect(runTimes).toEqual([MOCK_RULE.lastRunTime, MOCK_RULE.nextRunTime]);
+    });
+
+    it('saves the selected schedule preset', async () => {
+        savePatternRule.mockResolvedValue('0Af000000000001');
+        const element = await createEditor(MOCK_RULE);
+
+        getScheduleCombobox(element).dispatchEvent(new CustomEvent('change', { detail: { value: 'Weekly' } }));
+        await flushPromises();
+        await save(element);
+
+        expect(savePatternRule).toHaveBeenCalledTimes(1);
+        const saved = JSON.parse(savePatternRule.mock.calls[0][0].ruleJson);
+        expect(saved.schedule).toBe('Weekly');
+    });
+
+    it('saves a trimmed custom cron expression', async () => {
+        savePatternRule.mockResolvedValue('0Af000000000001');
+        const element = await createEditor(MOCK_RULE);
+
+        getCronInput(element).dispatchEvent(new CustomEvent('change', { detail: { value: ' 0 0 8 * * ? ' } }));
+        await flushPromises();
+        await save(element);
+
+        const saved = JSON.parse(savePatternRule.mock.calls[0][0].ruleJson);
+        expect(saved.schedule).toBe('0 0 8 * * ?');
+    });
+
+    it('does not save a custom schedule without a cron expression', async () => {
+        const element = await createEditor(MOCK_RULE);
+
+        getCronInput(element).dispatchEvent(new CustomEvent('change', { detail: { value: '  ' } }));
+        await flushPromises();
+        await save(element);
+
+        expect(savePatternRule).not.toHaveBeenCalled();
+    });
+
+    it('saves a detection-only declarative rule without fix actions', async () => {
+        getObjectFields.mockResolvedValue([{ label: 'Status', value: 'Status', dataType: 'PICKLIST' }]);
+        getThresholdTokens.mockResolvedValue([]);
+        validateQueryCondition.mockResolvedValue({ isValid: true });
+        savePatternRule.mockResolvedValue('0Af000000000001');
+        const element = await createEditor(MOCK_DETECTION_ONLY_RULE);
+        await flushPromises();
+
+        await save(element);
+        await flushPromises();
+
+        expect(savePatternRule).toHaveBeenCalledTimes(1);
+        const saved = JSON.parse(savePatternRule.mock.calls[0][0].ruleJson);
+        expect(saved.logicType).toBe('Declarative');
+        expect(saved.fixConfig).toBe('');
+    });
+});
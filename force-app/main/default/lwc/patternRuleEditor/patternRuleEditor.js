@@ -3,8 +3,19 @@ import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import getAvailableObjects from '@salesforce/apex/PatternRuleManagerController.getAvailableObjects';
 import getFixTypeOptions from '@salesforce/apex/PatternRuleManagerController.getFixTypeOptions';
 import getLogicTypeOptions from '@salesforce/apex/PatternRuleManagerController.getLogicTypeOptions';
+import getPluginClasses from '@salesforce/apex/PatternRuleManagerController.getPluginClasses';
 import savePatternRule from '@salesforce/apex/PatternRuleManagerController.savePatternRule';
-import testPatternQuery from '@salesforce/apex/PatternRuleManagerController.testPatternQuery';
+import testPatternSample from '@salesforce/apex/PatternRuleManagerController.testPatternSample';
+
+// Schedule__c presets; anything else is stored as a cron expression
+const SCHEDULE_PRESETS = ['Hourly', 'Daily', 'Weekly'];
+const CUSTOM_SCHEDULE = 'Custom';
+const SCHEDULE_OPTIONS = [
+    { label: 'Hourly', value: 'Hourly' },
+    { label: 'Daily (2:00 AM)', value: 'Daily' },
+    { label: 'Weekly (Sunday 2:00 AM)', value: 'Weekly' },
+    { label: 'Custom (cron expression)', value: CUSTOM_SCHEDULE }
+];
 
 export default class PatternRuleEditor extends LightningElement {
     @api mode = 'create'; // 'create' | 'edit' | 'clone'
@@ -24,6 +35,10 @@ export default class PatternRuleEditor extends LightningElement {
     @track developerNameManuallyEdited = false;
     @track costPerIncident = null;
     @track isActive = true;
+    @track isShadow = true; // New rules start in shadow mode until promoted
+    @track previewColumns = '';
+    @track scheduleOption = 'Daily';
+    @track scheduleCron = '';
 
     // UI state
     @track isLoading = false;
@@ -42,6 +57,18 @@ export default class PatternRuleEditor extends LightningElement {
     @track objectOptions = [];
     @track fixTypeOptions = [];
     @track logicTypeOptions = [];
+    @track pluginClassNames = [];
+    scheduleOptions = SCHEDULE_OPTIONS;
+
+    @wire(getPluginClasses)
+    wiredPluginClasses({ data, error }) {
+        if (data) {
+            this.pluginClassNames = data;
+        } else if (error) {
+            console.error('Error loading plugin classes:', error);
+            this.pluginClassNames = [];
+        }
+    }
 
     // Load options on connect
     connectedCallback() {
@@ -107,11 +134,23 @@ export default class PatternRuleEditor extends LightningElement {
         this.isPremium = this.rule.isPremium === true;
         this.costPerIncident = this.rule.costPerIncident;
         this.isActive = this.rule.isActive !== false;
+        // A clone is a newly authored rule, so it starts in shadow mode like a new one
+        this.isShadow = this.mode === 'clone' || this.rule.isShadow === true;
+        this.previewColumns = this.rule.previewColumns || '';
+        this.populateSchedule(this.rule.schedule);
 
         // Reset manual edit flag for clone mode (allow auto-generation)
         this.developerNameManuallyEdited = this.mode !== 'clone';
     }
 
+    // Blank schedules run daily; presets match case-insensitively like RuleScheduleService
+    populateSchedule(schedule) {
+        const value = (schedule || '').trim();
+        const preset = SCHEDULE_PRESETS.find(p => p.toLowerCase() === value.toLowerCase());
+        this.scheduleOption = !value ? 'Daily' : (preset || CUSTOM_SCHEDULE);
+        this.scheduleCron = this.scheduleOption === CUSTOM_SCHEDULE ? value : '';
+    }
+
     // Computed properties
     get modalTitle() {
         switch (this.mode) {
@@ -137,6 +176,49 @@ export default class PatternRuleEditor extends LightningElement {
         return this.logicType === 'Apex_Plugin';
     }
 
+    // Without any discoverable plugin classes (e.g. only managed package plugins), fall back to a text input
+    get hasPluginClasses() {
+        return this.pluginClassNames.length > 0;
+    }
+
+    get pluginClassOptions() {
+        const options = this.pluginClassNames.map(name => ({ label: name, value: name }));
+        // Keep a saved class selectable even when it isn't discoverable
+        if (this.apexHandlerClass && !this.pluginClassNames.includes(this.apexHandlerClass)) {
+            options.unshift({ label: this.apexHandlerClass, value: this.apexHandlerClass });
+        }
+        return options;
+    }
+
+    get showPluginConfig() {
+        return this.isApexPlugin && this.apexHandlerClass;
+    }
+
+    get showPluginReviewConfig() {
+        return this.isApexPlugin && this.fixConfig;
+    }
+
+    get isCustomSchedule() {
+        return this.scheduleOption === CUSTOM_SCHEDULE;
+    }
+
+    // Value saved to Schedule__c
+    get schedule() {
+        return this.isCustomSchedule ? this.scheduleCron.trim() : this.scheduleOption;
+    }
+
+    get scheduleSummary() {
+        return this.isCustomSchedule ? `Custom: ${this.scheduleCron}` : this.scheduleOption;
+    }
+
+    get lastRunTime() {
+        return this.mode === 'edit' ? this.rule?.lastRunTime : null;
+    }
+
+    get nextRunTime() {
+        return this.mode === 'edit' ? this.rule?.nextRunTime : null;
+    }
+
     get showQueryBuilder() {
         return this.isDeclarativeLogic && this.objectApiName;
     }
@@ -323,6 +405,10 @@ export default class PatternRuleEditor extends LightningElement {
         this.isActive = event.target.checked;
     }
 
+    handleShadowChange(event) {
+        this.isShadow = event.target.checked;
+    }
+
     // Event handlers
     handleLabelChange(event) {
         this.label = event.detail.value;
@@ -342,8 +428,9 @@ export default class PatternRuleEditor extends LightningElement {
     handleObjectChange(event) {
         this.objectApiName = event.detail.value;
 
-        // Reset query condition when object changes
+        // Reset query condition and preview columns when object changes
         this.queryCondition = '';
+        this.previewColumns = '';
 
         // Clear query builder
         const queryBuilder = this.template.querySelector('c-query-condition-builder');
@@ -369,6 +456,30 @@ export default class PatternRuleEditor extends LightningElement {
         this.apexHandlerClass = event.detail.value;
     }
 
+    // A different plugin reads different keys, so its configuration starts empty
+    handlePluginClassChange(event) {
+        if (event.detail.value !== this.apexHandlerClass) {
+            this.apexHandlerClass = event.detail.value;
+            this.fixConfig = '';
+        }
+    }
+
+    handlePluginConfigChange(event) {
+        this.fixConfig = event.detail.config;
+    }
+
+    validatePluginConfig() {
+        const pluginConfigForm = this.template.querySelector('c-plugin-config-form');
+        if (!pluginConfigForm || !this.isApexPlugin) {
+            return true;
+        }
+        const validation = pluginConfigForm.validate();
+        if (!validation.isValid) {
+            this.showToast('Validation Error', validation.errorMessage, 'error');
+        }
+        return validation.isValid;
+    }
+
     handleFixTypeChange(event) {
         this.fixType = event.detail.value;
 
@@ -391,6 +502,18 @@ export default class PatternRuleEditor extends LightningElement {
         this.fixConfig = event.detail.config;
     }
 
+    handlePreviewColumnsChange(event) {
+        this.previewColumns = event.detail.value;
+    }
+
+    handleScheduleOptionChange(event) {
+        this.scheduleOption = event.detail.value;
+    }
+
+    handleScheduleCronChange(event) {
+        this.scheduleCron = event.detail.value;
+    }
+
     // Navigation
     handleBack() {
         if (this.currentStep > 1) {
@@ -399,6 +522,10 @@ export default class PatternRuleEditor extends LightningElement {
     }
 
     handleNext() {
+        // The plugin form is only rendered on step 2, so check it before leaving
+        if (this.currentStep === 2 && !this.validatePluginConfig()) {
+            return;
+        }
         if (this.currentStep < 4) {
             this.currentStep++;
         } else {
@@ -421,15 +548,19 @@ export default class PatternRuleEditor extends LightningElement {
         this.testResult = null;
 
         try {
-            const count = await testPatternQuery({
+            const sample = await testPatternSample({
                 objectName: this.objectApiName,
-                condition: condition
+                condition: condition,
+                costPerIncident: this.costPerIncident,
+                previewColumns: this.previewColumns
             });
+            const count = sample.matchCount;
 
             this.testResult = {
                 success: true,
                 count: count,
-                message: `Found ${count} matching records`
+                message: `Found ${count} matching records`,
+                sample
             };
 
             this.showToast('Query Test Passed', `Found ${count} matching records`, 'success');
@@ -466,6 +597,10 @@ export default class PatternRuleEditor extends LightningElement {
             }
         }
 
+        if (!this.validatePluginConfig()) {
+            return;
+        }
+
         // Skip fix config validation for Apex Plugin (plugin handles remediation)
         const fixConfigEditor = this.template.querySelector('c-fix-config-editor');
         if (fixConfigEditor && !this.isApexPlugin) {
@@ -490,7 +625,10 @@ export default class PatternRuleEditor extends LightningElement {
             apexHandlerClass: this.apexHandlerClass,
             isPremium: this.isPremium,
             costPerIncident: this.costPerIncident,
-            isActive: this.isActive
+            isActive: this.isActive,
+            isShadow: this.isShadow,
+            previewColumns: this.previewColumns,
+            schedule: this.schedule
         };
 
         this.isSaving = true;
@@ -535,6 +673,11 @@ export default class PatternRuleEditor extends LightningElement {
             return false;
         }
 
+        if (this.isCustomSchedule && !this.scheduleCron.trim()) {
+            this.showToast('Validation Error', 'Enter a cron expression for the custom schedule', 'error');
+            return false;
+        }
+
         return true;
     }
 
@@ -0,0 +1,83 @@
+import { createElement } from '@lwc/engine-dom';
+import PatternRuleList from 'c/patternRuleList';
+
+const MOCK_RULES = [
+    { developerName: 'Stale_Case_30', label: 'Stale Cases', objectLabel: 'Case', isActive: true },
+    { developerName: 'Unassigned_Lead_48', label: 'Unassigned Leads', objectLabel: 'Lead', isActive: false },
+    { developerName: 'Shadow_Rule', label: 'Shadow Rule', objectLabel: 'Case', isActive: true, isShadow: true }
+];
+
+// Helper to flush promises
+const flushPromises = () => new Promise(process.nextTick);
+
+async function createList(props) {
+    const element = createElement('c-pattern-rule-list', { is: PatternRuleList });
+    Object.assign(element, { rules: MOCK_RULES, ...props });
+    document.body.appendChild(element);
+    await flushPromises();
+    return element;
+}
+
+function getRows(element) {
+    const rows = {};
+    element.shadowRoot.querySelector('lightning-datatable').data.forEach(row => {
+        rows[row.developerName] = row;
+    });
+    return rows;
+}
+
+describe('c-pattern-rule-list', () => {
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+    });
+
+    it('renders a row per rule with its deployed status', async () => {
+        const element = await createList();
+
+        const rows = getRows(element);
+        expect(Object.keys(rows).length).toBe(3);
+        expect(rows.Stale_Case_30.statusLabel).toBe('Active');
+        expect(rows.Unassigned_Lead_48.statusLabel).toBe('Inactive');
+        expect(rows.Shadow_Rule.statusLabel).toBe('Shadow');
+    });
+
+    it('shows running and failed deployments over the deployed status', async () => {
+        const element = await createList({
+            deploymentStates: { Stale_Case_30: 'pending', Unassigned_Lead_48: 'failed' }
+        });
+
+        const rows = getRows(element);
+        expect(rows.Stale_Case_30.statusLabel).toBe('Deploying...');
+        expect(rows.Stale_Case_30.statusIcon).toBe('utility:sync');
+        expect(rows.Unassigned_Lead_48.statusLabel).toBe('Deploy failed • Inactive');
+        expect(rows.Unassigned_Lead_48.statusClass).toBe('slds-text-color_error');
+        expect(rows.Shadow_Rule.statusLabel).toBe('Shadow');
+    });
+
+    it('re-renders when the deployment states change', async () => {
+        const element = await createList({ deploymentStates: { Stale_Case_30: 'pending' } });
+
+        element.deploymentStates = {};
+        await flushPromises();
+
+        expect(getRows(element).Stale_Case_30.statusLabel).toBe('Active');
+    });
+
+    it('shows each rule\'s schedule, defaulting blank schedules to daily', async () => {
+        const element = await createList({
+            rules: [
+                { ...MOCK_RULES[0], schedule: 'Hourly' },
+                { ...MOCK_RULES[1], schedule: '0 0 6 ? * MON-FRI' },
+                MOCK_RULES[2]
+            ]
+        });
+
+        const rows = getRows(element);
+        expect(rows.Stale_Case_30.scheduleLabel).toBe('Hourly');
+        expect(rows.Unassigned_Lead_48.scheduleLabel).toBe('0 0 6 ? * MON-FRI');
+        expect(rows.Shadow_Rule.scheduleLabel).toBe('Daily');
+    });
+});
@@ -32,13 +32,47 @@ const COLUMNS = [
         type: 'text',
         sortable: true
     },
+    {
+        label: 'Schedule',
+        fieldName: 'scheduleLabel',
+        type: 'text',
+        sortable: true
+    },
+    {
+        label: 'Next Run',
+        fieldName: 'nextRunTime',
+        type: 'date',
+        sortable: true,
+        typeAttributes: { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' }
+    },
+    {
+        label: 'Health',
+        fieldName: 'healthLabel',
+        type: 'text',
+        sortable: true,
+        cellAttributes: {
+            class: { fieldName: 'healthClass' },
+            iconName: { fieldName: 'healthIcon' },
+            iconPosition: 'left'
+        }
+    },
+    {
+        label: 'Last Error',
+        fieldName: 'lastError',
+        type: 'text',
+        cellAttributes: {
+            class: 'slds-text-color_error'
+        }
+    },
     {
         label: 'Status',
         fieldName: 'statusLabel',
         type: 'text',
         sortable: true,
         cellAttributes: {
-            class: { fieldName: 'statusClass' }
+            class: { fieldName: 'statusClass' },
+            iconName: { fieldName: 'statusIcon' },
+            iconPosition: 'left'
         }
     },
     {
@@ -49,8 +83,17 @@ const COLUMNS = [
     }
 ];
 
+// Circuit breaker states (Rule_Execution_Health__c.Circuit_State__c) as shown in the Health column
+const CIRCUIT_DISPLAY = {
+    Closed: { label: 'Closed', icon: 'utility:success', cssClass: 'slds-text-color_success' },
+    Half_Open: { label: 'Half-Open', icon: 'utility:warning', cssClass: 'slds-text-color_weak' },
+    Open: { label: 'Open', icon: 'utility:error', cssClass: 'slds-text-color_error' }
+};
+
 export default class PatternRuleList extends LightningElement {
     @api rules = [];
+    @api selectedDeveloperNames = []; // Checked rows, owned by the parent so they survive re-renders
+    @api deploymentStates = {}; // developerName -> 'pending' | 'failed', tracked by the parent
     @track columns = COLUMNS;
     @track isProcessing = false;
 
@@ -69,14 +112,27 @@ export default class PatternRuleList extends LightningElement {
         return this.rules.map(rule => {
             const isActive = rule.isActive !== false;
             const isPremium = rule.isPremium === true;
+            const isShadow = isActive && rule.isShadow === true;
 
             // Build row actions based on rule state
             const actions = [
                 { label: 'Edit', name: 'edit' },
                 { label: 'Clone', name: 'clone' },
-                { label: 'Test Query', name: 'test' }
+                { label: 'Test Query', name: 'test' },
+                { label: 'Version History', name: 'history' },
+                { label: 'Execution Health', name: 'health' }
             ];
 
+            if (isShadow) {
+                actions.push({ label: 'Shadow Results', name: 'shadow' });
+                actions.push({ label: 'Promote to Active', name: 'promote' });
+            }
+
+            const circuitState = rule.circuitState || 'Closed';
+            if (circuitState !== 'Closed' || rule.consecutiveFailures > 0) {
+                actions.push({ label: 'Reset Circuit', name: 'resetcircuit' });
+            }
+
             if (isActive) {
                 actions.push({ label: 'Deactivate', name: 'deactivate' });
             } else {
@@ -85,15 +141,47 @@ export default class PatternRuleList extends LightningElement {
 
             // Build status label
             let statusLabel = isActive ? 'Active' : 'Inactive';
+            let statusClass = isActive ? 'slds-text-color_success' : 'slds-text-color_weak';
+            let statusIcon = null;
+            // Shadow rules run but publish no pain points until promoted
+            if (isShadow) {
+                statusLabel = 'Shadow';
+                statusClass = 'slds-text-color_weak';
+                statusIcon = 'utility:hide';
+            }
             if (isPremium) {
                 statusLabel += ' • Premium';
             }
 
+            // A running or failed deployment overrides the deployed state
+            const deploymentState = this.deploymentStates ? this.deploymentStates[rule.developerName] : null;
+            if (deploymentState === 'pending') {
+                statusLabel = 'Deploying...';
+                statusClass = 'slds-text-color_weak';
+                statusIcon = 'utility:sync';
+            } else if (deploymentState === 'failed') {
+                statusLabel = `Deploy failed • ${statusLabel}`;
+                statusClass = 'slds-text-color_error';
+                statusIcon = 'utility:error';
+            }
+
+            const circuit = CIRCUIT_DISPLAY[circuitState] || CIRCUIT_DISPLAY.Closed;
+            let healthLabel = circuit.label;
+            if (rule.consecutiveFailures > 0) {
+                healthLabel += ` • ${rule.consecutiveFailures} failure${rule.consecutiveFailures === 1 ? '' : 's'}`;
+            }
+
             return {
                 ...rule,
                 id: rule.developerName,
                 statusLabel,
-                statusClass: isActive ? 'slds-text-color_success' : 'slds-text-color_weak',
+                statusClass,
+                statusIcon,
+                healthLabel,
+                healthClass: circuit.cssClass,
+                healthIcon: circuit.icon,
+                // Blank Schedule__c runs daily
+                scheduleLabel: rule.schedule || 'Daily',
                 labelClass: isActive ? '' : 'slds-text-color_weak',
                 availableActions: actions
             };
@@ -119,6 +207,31 @@ export default class PatternRuleList extends LightningElement {
             case 'test':
                 this.handleTestQuery(row);
                 break;
+            case 'history':
+                this.dispatchEvent(new CustomEvent('history', {
+                    detail: { developerName: row.developerName }
+                }));
+                break;
+            case 'health':
+                this.dispatchEvent(new CustomEvent('health', {
+                    detail: { developerName: row.developerName }
+                }));
+                break;
+            case 'shadow':
+                this.dispatchEvent(new CustomEvent('shadow', {
+                    detail: { developerName: row.developerName }
+                }));
+                break;
+            case 'promote':
+                this.dispatchEvent(new CustomEvent('promote', {
+                    detail: { developerName: row.developerName }
+                }));
+                break;
+            case 'resetcircuit':
+                this.dispatchEvent(new CustomEvent('resetcircuit', {
+                    detail: { developerName: row.developerName }
+                }));
+                break;
             case 'deactivate':
                 this.deactivateRule(row.developerName);
                 break;
@@ -130,6 +243,13 @@ export default class PatternRuleList extends LightningElement {
         }
     }
 
+    handleRowSelection(event) {
+        const developerNames = event.detail.selectedRows.map(row => row.developerName);
+        this.dispatchEvent(new CustomEvent('selectionchange', {
+            detail: { developerNames }
+        }));
+    }
+
     // Test query
     async handleTestQuery(rule) {
         if (!rule.queryCondition && rule.logicType !== 'Apex_Plugin') {
@@ -216,15 +336,13 @@ export default class PatternRuleList extends LightningElement {
             const { developerName, targetActiveState } = this._toggleQueue.shift();
 
             try {
-                if (targetActiveState) {
-                    await reactivateRule({ developerName });
-                } else {
-                    await deactivateRule({ developerName });
-                }
+                const jobId = targetActiveState
+                    ? await reactivateRule({ developerName })
+                    : await deactivateRule({ developerName });
 
-                // Dispatch confirmed update
+                // Dispatch confirmed update with the deployment to track
                 this.dispatchEvent(new CustomEvent('ruleupdated', {
-                    detail: { developerName, isActive: targetActiveState, optimistic: false }
+                    detail: { developerName, isActive: targetActiveState, optimistic: false, jobId }
                 }));
             } catch (error) {
                 // Rollback on error
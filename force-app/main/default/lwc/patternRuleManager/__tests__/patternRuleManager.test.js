@@ -0,0 +1,149 @@
+import { createElement } from '@lwc/engine-dom';
+import PatternRuleManager from 'c/patternRuleManager';
+import getAllPatternRules from '@salesforce/apex/PatternRuleManagerController.getAllPatternRules';
+import getDeploymentStatuses from '@salesforce/apex/PatternRuleManagerController.getDeploymentStatuses';
+import getRecentDeployments from '@salesforce/apex/PatternRuleManagerController.getRecentDeployments';
+import checkLicenseStatus from '@salesforce/apex/LicenseService.checkLicenseStatus';
+
+// Mock Apex methods
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getAllPatternRules',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/LicenseService.checkLicenseStatus',
+    () => {
+        const { createApexTestWireAdapter } = require('@salesforce/sfdx-lwc-jest');
+        return { default: createApexTestWireAdapter(jest.fn()) };
+    },
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getDeploymentStatuses',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getRecentDeployments',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const MOCK_RULES = [
+    { developerName: 'Stale_Case_30', label: 'Stale Cases', objectApiName: 'Case', isActive: true },
+    { developerName: 'Unassigned_Lead_48', label: 'Unassigned Leads', objectApiName: 'Lead', isActive: true }
+];
+
+const FAILED_DEPLOYMENT = {
+    jobId: '0Af000000000001',
+    operation: 'Save',
+    developerNames: ['Stale_Case_30'],
+    isComplete: true,
+    isSuccess: false,
+    errorMessage: 'Deployment failed',
+    componentErrors: [
+        { developerName: 'Stale_Case_30', problem: 'Invalid value for Threshold_Default__c', lineNumber: 3 }
+    ]
+};
+
+// Helper to flush promises
+const flushPromises = () => new Promise(process.nextTick);
+
+async function createManager() {
+    const element = createElement('c-pattern-rule-manager', { is: PatternRuleManager });
+    document.body.appendChild(element);
+    checkLicenseStatus.emit('Premium');
+    getAllPatternRules.emit(MOCK_RULES);
+    await flushPromises();
+    return element;
+}
+
+function getFailureBoxes(element) {
+    return element.shadowRoot.querySelectorAll('div.slds-theme_error');
+}
+
+describe('c-pattern-rule-manager', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick'] });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    it('renders the rule list for premium users', async () => {
+        getRecentDeployments.mockResolvedValue([]);
+
+        const element = await createManager();
+
+        const ruleList = element.shadowRoot.querySelector('c-pattern-rule-list');
+        expect(ruleList).not.toBeNull();
+        expect(ruleList.rules.length).toBe(2);
+    });
+
+    it('lists failed deployments restored on load with their component errors', async () => {
+        getRecentDeployments.mockResolvedValue([FAILED_DEPLOYMENT]);
+
+        const element = await createManager();
+
+        const failures = getFailureBoxes(element);
+        expect(failures.length).toBe(1);
+        expect(failures[0].textContent).toContain('Save of Stale Cases failed');
+        expect(failures[0].textContent).toContain('Invalid value for Threshold_Default__c');
+        expect(failures[0].textContent).toContain('line 3');
+        const ruleList = element.shadowRoot.querySelector('c-pattern-rule-list');
+        expect(ruleList.deploymentStates).toEqual({ Stale_Case_30: 'failed' });
+    });
+
+    it('polls a running deployment until it fails', async () => {
+        getRecentDeployments.mockResolvedValue([
+            { ...FAILED_DEPLOYMENT, isComplete: false, componentErrors: [] }
+        ]);
+        getDeploymentStatuses.mockResolvedValue([FAILED_DEPLOYMENT]);
+
+        const element = await createManager();
+        const ruleList = element.shadowRoot.querySelector('c-pattern-rule-list');
+        expect(ruleList.deploymentStates).toEqual({ Stale_Case_30: 'pending' });
+        expect(getDeploymentStatuses).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(5000);
+        await flushPromises();
+
+        expect(getDeploymentStatuses).toHaveBeenCalledWith({ jobIds: ['0Af000000000001'] });
+        expect(getFailureBoxes(element).length).toBe(1);
+        expect(ruleList.deploymentStates).toEqual({ Stale_Case_30: 'failed' });
+    });
+
+    it('keeps polling while a deployment is still running', async () => {
+        const running = { ...FAILED_DEPLOYMENT, isComplete: false, componentErrors: [] };
+        getRecentDeployments.mockResolvedValue([running]);
+        getDeploymentStatuses.mockResolvedValue([running]);
+
+        await createManager();
+        jest.advanceTimersByTime(5000);
+        await flushPromises();
+        jest.advanceTimersByTime(5000);
+        await flushPromises();
+
+        expect(getDeploymentStatuses).toHaveBeenCalledTimes(2);
+    });
+
+    it('removes a failure when it is dismissed', async () => {
+        getRecentDeployments.mockResolvedValue([FAILED_DEPLOYMENT]);
+
+        const element = await createManager();
+        const dismiss = element.shadowRoot.querySelector('lightning-button-icon[data-id="0Af000000000001"]');
+        dismiss.click();
+        await flushPromises();
+
+        expect(getFailureBoxes(element).length).toBe(0);
+    });
+});
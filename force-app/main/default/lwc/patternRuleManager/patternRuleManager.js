@@ -2,8 +2,16 @@ import { LightningElement, track, wire } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 import { refreshApex } from '@salesforce/apex';
 import getAllPatternRules from '@salesforce/apex/PatternRuleManagerController.getAllPatternRules';
+import exportRulePack from '@salesforce/apex/PatternRuleManagerController.exportRulePack';
+import getDeploymentStatuses from '@salesforce/apex/PatternRuleManagerController.getDeploymentStatuses';
+import getRecentDeployments from '@salesforce/apex/PatternRuleManagerController.getRecentDeployments';
+import resetCircuitBreaker from '@salesforce/apex/PatternRuleManagerController.resetCircuitBreaker';
+import promoteRule from '@salesforce/apex/PatternRuleManagerController.promoteRule';
 import checkLicenseStatus from '@salesforce/apex/LicenseService.checkLicenseStatus';
 
+const DEPLOY_POLL_INTERVAL_MS = 5000;
+const MAX_DEPLOY_POLLS = 60; // Stop polling after ~5 minutes; Refresh resumes it
+
 export default class PatternRuleManager extends LightningElement {
     @track isLoading = true;
     @track isLicenseLoading = true;
@@ -16,6 +24,18 @@ export default class PatternRuleManager extends LightningElement {
     @track isEditorOpen = false;
     @track editorMode = 'create'; // 'create' | 'edit' | 'clone'
     @track selectedRule = null;
+    @track historyRule = null; // Rule whose version history is open
+    @track healthDeveloperName = null; // Rule whose execution health is open
+    @track shadowDeveloperName = null; // Rule whose shadow results are open
+    @track isImportOpen = false;
+    @track selectedDeveloperNames = [];
+    isExporting = false;
+
+    // Deployment tracking
+    @track pendingDeployments = {}; // jobId -> developerNames of deployments still running
+    @track deploymentFailures = []; // Completed deployments that failed, newest first
+    deployPollTimer = null;
+    deployPollCount = 0;
 
     // Filter state
     @track activeFilter = 'all';
@@ -55,6 +75,15 @@ export default class PatternRuleManager extends LightningElement {
         }
     }
 
+    connectedCallback() {
+        this.loadRecentDeployments();
+    }
+
+    disconnectedCallback() {
+        clearTimeout(this.deployPollTimer);
+        this.deployPollTimer = null;
+    }
+
     // License computed properties
     get isPremium() {
         return this.licenseStatus === 'Premium';
@@ -82,7 +111,11 @@ export default class PatternRuleManager extends LightningElement {
     }
 
     get activeCount() {
-        return this.rules ? this.rules.filter(r => r.isActive).length : 0;
+        return this.rules ? this.rules.filter(r => r.isActive && !r.isShadow).length : 0;
+    }
+
+    get shadowCount() {
+        return this.rules ? this.rules.filter(r => r.isActive && r.isShadow).length : 0;
     }
 
     get inactiveCount() {
@@ -102,6 +135,10 @@ export default class PatternRuleManager extends LightningElement {
         return this.activeFilter === 'active' ? 'brand' : 'neutral';
     }
 
+    get shadowVariant() {
+        return this.activeFilter === 'shadow' ? 'brand' : 'neutral';
+    }
+
     get inactiveVariant() {
         return this.activeFilter === 'inactive' ? 'brand' : 'neutral';
     }
@@ -119,6 +156,10 @@ export default class PatternRuleManager extends LightningElement {
         return `Active (${this.activeCount})`;
     }
 
+    get shadowLabel() {
+        return `Shadow (${this.shadowCount})`;
+    }
+
     get inactiveLabel() {
         return `Inactive (${this.inactiveCount})`;
     }
@@ -131,6 +172,38 @@ export default class PatternRuleManager extends LightningElement {
         return this.activeFilter !== 'all';
     }
 
+    get exportLabel() {
+        const count = this.selectedDeveloperNames.length;
+        return count > 0 ? `Export (${count})` : 'Export';
+    }
+
+    get isExportDisabled() {
+        return this.selectedDeveloperNames.length === 0 || this.isExporting;
+    }
+
+    /**
+     * Deployment state per rule for the list: 'pending' while a deployment is running,
+     * 'failed' while its latest failure is shown
+     */
+    get deploymentStates() {
+        const states = {};
+        this.deploymentFailures.forEach(failure => {
+            failure.developerNames.forEach(name => {
+                states[name] = 'failed';
+            });
+        });
+        Object.values(this.pendingDeployments).forEach(developerNames => {
+            developerNames.forEach(name => {
+                states[name] = 'pending';
+            });
+        });
+        return states;
+    }
+
+    get hasDeploymentFailures() {
+        return this.deploymentFailures.length > 0;
+    }
+
     // Filter handlers
     handleFilterAll() {
         this.activeFilter = 'all';
@@ -142,6 +215,11 @@ export default class PatternRuleManager extends LightningElement {
         this.applyFilter();
     }
 
+    handleFilterShadow() {
+        this.activeFilter = 'shadow';
+        this.applyFilter();
+    }
+
     handleFilterInactive() {
         this.activeFilter = 'inactive';
         this.applyFilter();
@@ -160,7 +238,10 @@ export default class PatternRuleManager extends LightningElement {
 
         switch (this.activeFilter) {
             case 'active':
-                this.filteredRules = this.rules.filter(r => r.isActive);
+                this.filteredRules = this.rules.filter(r => r.isActive && !r.isShadow);
+                break;
+            case 'shadow':
+                this.filteredRules = this.rules.filter(r => r.isActive && r.isShadow);
                 break;
             case 'inactive':
                 this.filteredRules = this.rules.filter(r => !r.isActive);
@@ -222,31 +303,285 @@ export default class PatternRuleManager extends LightningElement {
         }
     }
 
+    handleShowHistory(event) {
+        const developerName = event.detail.developerName;
+        const rule = this.rules.find(r => r.developerName === developerName);
+
+        if (rule) {
+            this.historyRule = { developerName: rule.developerName, label: rule.label };
+        }
+    }
+
+    handleHistoryClose() {
+        this.historyRule = null;
+    }
+
+    handleVersionRestore(event) {
+        const { developerName, versionNumber, jobId } = event.detail;
+        this.historyRule = null;
+
+        this.showToast('Deploying', `Version ${versionNumber} is being restored. This may take a moment...`, 'info');
+        this.trackDeployment(jobId, [developerName]);
+    }
+
+    handleShowHealth(event) {
+        this.healthDeveloperName = event.detail.developerName;
+    }
+
+    handleHealthClose() {
+        this.healthDeveloperName = null;
+    }
+
+    // Read from the loaded rules so the health view follows refreshes
+    get healthRule() {
+        if (!this.healthDeveloperName) {
+            return null;
+        }
+        return this.rules.find(r => r.developerName === this.healthDeveloperName) || null;
+    }
+
+    handleShowShadow(event) {
+        this.shadowDeveloperName = event.detail.developerName;
+    }
+
+    handleShadowClose() {
+        this.shadowDeveloperName = null;
+    }
+
+    get shadowRule() {
+        if (!this.shadowDeveloperName) {
+            return null;
+        }
+        return this.rules.find(r => r.developerName === this.shadowDeveloperName) || null;
+    }
+
+    async handlePromoteRule(event) {
+        const developerName = event.detail.developerName;
+        try {
+            const jobId = await promoteRule({ developerName });
+            this.shadowDeveloperName = null;
+            this.showToast('Deploying', 'The rule is being promoted. Its findings appear on the dashboard after the next analysis run.', 'info');
+            this.trackDeployment(jobId, [developerName]);
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Unable to promote the rule.', 'error');
+        }
+    }
+
+    async handleResetCircuit(event) {
+        const developerName = event.detail.developerName;
+        try {
+            const message = await resetCircuitBreaker({ ruleDeveloperName: developerName });
+            this.showToast('Circuit Reset', message, 'success');
+            await this.refreshDataSilently();
+        } catch (error) {
+            this.showToast('Error', error.body?.message || 'Unable to reset the circuit breaker.', 'error');
+        }
+    }
+
+    handleSelectionChange(event) {
+        this.selectedDeveloperNames = event.detail.developerNames || [];
+    }
+
+    async handleExport() {
+        this.isExporting = true;
+        try {
+            const packJson = await exportRulePack({ developerNames: this.selectedDeveloperNames });
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`behavioriq-rule-pack-${date}.json`, packJson);
+            this.showToast('Rules Exported', `Exported ${this.selectedDeveloperNames.length} rule(s).`, 'success');
+        } catch (error) {
+            this.showToast('Export Failed', error.body?.message || 'Unable to export the selected rules.', 'error');
+        }
+        this.isExporting = false;
+    }
+
+    downloadFile(fileName, content) {
+        const link = document.createElement('a');
+        link.href = `data:application/json;charset=utf-8,${encodeURIComponent(content)}`;
+        link.download = fileName;
+        link.click();
+    }
+
+    handleOpenImport() {
+        this.isImportOpen = true;
+    }
+
+    handleImportClose() {
+        this.isImportOpen = false;
+    }
+
+    handleImportComplete(event) {
+        const { jobId, ruleCount } = event.detail;
+        this.isImportOpen = false;
+
+        this.showToast('Deploying', `${ruleCount} rule(s) are being deployed. This may take a moment...`, 'info');
+        // The rules in the pack are read from the deployment record on the first poll
+        this.trackDeployment(jobId, []);
+    }
+
     handleEditorClose() {
         this.isEditorOpen = false;
         this.selectedRule = null;
     }
 
     handleEditorSave(event) {
+        const { jobId, rule } = event.detail || {};
         this.isEditorOpen = false;
         this.selectedRule = null;
 
         // Show deploying toast
         this.showToast('Deploying', 'Rule is being deployed. This may take a moment...', 'info');
-
-        // Refresh after a short delay to allow deployment to complete
-        // In a real app, we'd poll for deployment status
-        setTimeout(() => {
-            this.refreshData();
-        }, 3000);
+        this.trackDeployment(jobId, rule?.developerName ? [rule.developerName] : []);
     }
 
     handleRefresh() {
         this.refreshData();
+        // Resume polling if it stopped before every deployment finished
+        this.deployPollCount = 0;
+        this.pollDeployments();
+    }
+
+    handleDismissFailure(event) {
+        const jobId = event.currentTarget.dataset.id;
+        this.deploymentFailures = this.deploymentFailures.filter(failure => failure.jobId !== jobId);
+    }
+
+    // Deployment tracking
+
+    /**
+     * Restore deployments that are still running, and each rule's latest failure, after a reload
+     */
+    async loadRecentDeployments() {
+        try {
+            const deployments = await getRecentDeployments();
+            const seen = new Set();
+            const pending = {};
+            const failures = [];
+
+            // Newest first: only a rule's latest deployment decides its state
+            (deployments || []).forEach(deployment => {
+                const developerNames = deployment.developerNames.filter(name => !seen.has(name));
+                developerNames.forEach(name => seen.add(name));
+                if (developerNames.length === 0) return;
+
+                if (!deployment.isComplete) {
+                    pending[deployment.jobId] = deployment.developerNames;
+                } else if (!deployment.isSuccess) {
+                    failures.push(this.toDeploymentFailure(deployment));
+                }
+            });
+
+            this.pendingDeployments = { ...pending, ...this.pendingDeployments };
+            this.deploymentFailures = [...this.deploymentFailures, ...failures];
+            this.schedulePoll();
+        } catch (error) {
+            console.error('Error loading recent deployments:', error);
+        }
+    }
+
+    trackDeployment(jobId, developerNames) {
+        if (!jobId) return;
+
+        // A new deployment supersedes the rules' earlier failures
+        this.deploymentFailures = this.deploymentFailures.filter(
+            failure => !failure.developerNames.some(name => developerNames.includes(name))
+        );
+        this.pendingDeployments = { ...this.pendingDeployments, [jobId]: developerNames };
+        this.deployPollCount = 0;
+        this.schedulePoll();
+    }
+
+    schedulePoll() {
+        if (this.deployPollTimer || Object.keys(this.pendingDeployments).length === 0) return;
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this.deployPollTimer = setTimeout(() => {
+            this.deployPollTimer = null;
+            this.pollDeployments();
+        }, DEPLOY_POLL_INTERVAL_MS);
+    }
+
+    async pollDeployments() {
+        const jobIds = Object.keys(this.pendingDeployments);
+        if (jobIds.length === 0) return;
+
+        this.deployPollCount++;
+        let statuses = [];
+        try {
+            statuses = await getDeploymentStatuses({ jobIds });
+        } catch (error) {
+            console.error('Error checking deployment status:', error);
+        }
+
+        const pending = { ...this.pendingDeployments };
+        let completed = 0;
+        (statuses || []).forEach(deployment => {
+            if (!(deployment.jobId in pending)) return;
+
+            if (!deployment.isComplete) {
+                // Imports learn their rules from the deployment record
+                pending[deployment.jobId] = deployment.developerNames;
+                return;
+            }
+
+            delete pending[deployment.jobId];
+            completed++;
+            if (deployment.isSuccess) {
+                this.showToast('Deployed', this.describeDeployment(deployment) + ' deployed successfully.', 'success');
+            } else {
+                this.deploymentFailures = [
+                    this.toDeploymentFailure(deployment),
+                    ...this.deploymentFailures.filter(
+                        failure => !failure.developerNames.some(name => deployment.developerNames.includes(name))
+                    )
+                ];
+                this.showToast('Deployment Failed', this.describeDeployment(deployment) + ' failed to deploy. See the errors above the rule list.', 'error');
+            }
+        });
+        this.pendingDeployments = pending;
+
+        if (completed > 0) {
+            // Reload the rules so the list shows what was actually deployed
+            this.refreshDataSilently();
+        }
+
+        if (this.deployPollCount < MAX_DEPLOY_POLLS) {
+            this.schedulePoll();
+        } else if (Object.keys(pending).length > 0) {
+            this.showToast(
+                'Still Deploying',
+                'Some rule deployments have not finished. Click Refresh to check again, or see Setup > Deployment Status.',
+                'warning'
+            );
+        }
+    }
+
+    describeDeployment(deployment) {
+        const names = deployment.developerNames;
+        if (names.length === 1) {
+            const rule = this.rules.find(r => r.developerName === names[0]);
+            return `${deployment.operation || 'Deployment'} of ${rule ? rule.label : names[0]}`;
+        }
+        return `${deployment.operation || 'Deployment'} of ${names.length} rules`;
+    }
+
+    toDeploymentFailure(deployment) {
+        return {
+            jobId: deployment.jobId,
+            developerNames: deployment.developerNames,
+            title: this.describeDeployment(deployment) + ' failed',
+            errorMessage: deployment.errorMessage,
+            componentErrors: (deployment.componentErrors || []).map((error, index) => ({
+                key: `${deployment.jobId}-${index}`,
+                label: error.developerName || error.componentName || 'Deployment',
+                problem: error.problem,
+                lineLabel: error.lineNumber ? `line ${error.lineNumber}` : null
+            }))
+        };
     }
 
     handleRuleUpdated(event) {
-        const { developerName, isActive, optimistic, rollback } = event.detail || {};
+        const { developerName, isActive, optimistic, rollback, jobId } = event.detail || {};
 
         if (optimistic) {
             // Immediately update local state for instant feedback
@@ -261,13 +596,9 @@ export default class PatternRuleManager extends LightningElement {
             return;
         }
 
-        // Deployment started successfully - show confirmation and schedule background refresh
-        this.showToast('Success', `Rule ${isActive ? 'activated' : 'deactivated'} successfully`, 'success');
-
-        // Refresh in background after deployment likely completes (for data consistency)
-        setTimeout(() => {
-            this.refreshDataSilently();
-        }, 5000);
+        // Deployment started successfully - track it until the rules reload with the result
+        this.showToast('Deploying', `Rule ${isActive ? 'activation' : 'deactivation'} is being deployed.`, 'info');
+        this.trackDeployment(jobId, [developerName]);
     }
 
     /**
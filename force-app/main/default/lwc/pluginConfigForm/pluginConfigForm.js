@@ -0,0 +1,168 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import getPluginParameters from '@salesforce/apex/PatternRuleManagerController.getPluginParameters';
+import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+
+// PatternPluginParameter.TYPE_ values
+const TYPE_NUMBER = 'Number';
+const TYPE_BOOLEAN = 'Boolean';
+const TYPE_FIELD = 'Field';
+const TYPE_CONDITION = 'Condition';
+const TYPE_PICKLIST = 'Picklist';
+
+/**
+ * Edits an Apex plugin rule's configuration (Fix_Config__c, a JSON object). Plugins that
+ * implement PatternPluginDescriber get a typed input per parameter; others get a JSON box.
+ * Keys the form doesn't know are kept. Fires `change` with detail { config } on every edit.
+ */
+export default class PluginConfigForm extends LightningElement {
+    @api className;
+    @api objectApiName;
+
+    @track parameters = [];
+    @track fieldOptions = [];
+    @track values = {};
+    jsonText = '';
+    isLoading = true;
+    error = null;
+    _value = '';
+
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(val) {
+        this._value = val || '';
+        this.jsonText = this._value;
+        this.values = this.parseConfig(this._value) || {};
+    }
+
+    @wire(getPluginParameters, { className: '$className' })
+    wiredParameters({ data, error }) {
+        if (data) {
+            this.parameters = data;
+            this.error = null;
+            this.isLoading = false;
+        } else if (error) {
+            this.parameters = [];
+            this.error = error?.body?.message || 'Unable to load plugin parameters.';
+            this.isLoading = false;
+        }
+    }
+
+    @wire(getObjectFields, { objectName: '$objectApiName' })
+    wiredFields({ data, error }) {
+        if (data) {
+            this.fieldOptions = data.map(f => ({ label: `${f.label} (${f.value})`, value: f.value }));
+        } else if (error) {
+            console.error('Error loading plugin field options:', error);
+            this.fieldOptions = [];
+        }
+    }
+
+    get hasParameters() {
+        return this.parameters.length > 0;
+    }
+
+    get showJsonEditor() {
+        return !this.isLoading && !this.error && !this.hasParameters;
+    }
+
+    // A literal "{...}" attribute would be parsed as a template expression
+    get jsonPlaceholder() {
+        return '{"key": "value"}';
+    }
+
+    get parameterInputs() {
+        return this.parameters.map(parameter => {
+            const type = parameter.type || 'Text';
+            const value = this.values[parameter.name];
+            return {
+                ...parameter,
+                label: parameter.label || parameter.name,
+                isNumber: type === TYPE_NUMBER,
+                isBoolean: type === TYPE_BOOLEAN,
+                isField: type === TYPE_FIELD,
+                isCondition: type === TYPE_CONDITION,
+                isPicklist: type === TYPE_PICKLIST,
+                isText: ![TYPE_NUMBER, TYPE_BOOLEAN, TYPE_FIELD, TYPE_CONDITION, TYPE_PICKLIST].includes(type),
+                value: value == null ? '' : value,
+                // Unset checkboxes show the plugin's default
+                checked: value == null ? parameter.defaultValue === 'true' : value === true,
+                placeholder: parameter.defaultValue ? `Default: ${parameter.defaultValue}` : '',
+                options: (parameter.options || []).map(option => ({ label: option, value: option }))
+            };
+        });
+    }
+
+    handleParameterChange(event) {
+        const name = event.target.dataset.name;
+        const parameter = this.parameters.find(p => p.name === name);
+        let value;
+        if (parameter.type === TYPE_BOOLEAN) {
+            value = event.target.checked;
+        } else if (parameter.type === TYPE_NUMBER) {
+            value = event.detail.value === '' || event.detail.value == null ? null : Number(event.detail.value);
+        } else {
+            value = event.detail.value;
+        }
+
+        const values = { ...this.values };
+        if (value === null || value === '') {
+            delete values[name];
+        } else {
+            values[name] = value;
+        }
+        this.values = values;
+        this._value = Object.keys(values).length ? JSON.stringify(values) : '';
+        this.jsonText = this._value;
+        this.notifyChange();
+    }
+
+    handleJsonChange(event) {
+        this.jsonText = event.detail.value;
+        this._value = this.jsonText;
+        this.values = this.parseConfig(this._value) || {};
+        this.notifyChange();
+    }
+
+    /**
+     * Checks required parameters and, for the JSON box, that the text is a JSON object.
+     * @returns {{isValid: boolean, errorMessage: string}}
+     */
+    @api
+    validate() {
+        if (!this.hasParameters) {
+            if (this.jsonText.trim() && !this.parseConfig(this.jsonText)) {
+                return { isValid: false, errorMessage: 'Plugin configuration must be a JSON object.' };
+            }
+            return { isValid: true, errorMessage: '' };
+        }
+
+        const inputs = [...this.template.querySelectorAll('lightning-input, lightning-combobox, lightning-textarea')];
+        const inputsValid = inputs.reduce((valid, input) => input.reportValidity() && valid, true);
+        const missing = this.parameters.find(p => p.required && (this.values[p.name] == null || this.values[p.name] === ''));
+        if (missing) {
+            return { isValid: false, errorMessage: `${missing.label || missing.name} is required.` };
+        }
+        if (!inputsValid) {
+            return { isValid: false, errorMessage: 'Fix the plugin parameters before saving.' };
+        }
+        return { isValid: true, errorMessage: '' };
+    }
+
+    parseConfig(text) {
+        if (!text || !text.trim()) {
+            return {};
+        }
+        try {
+            const parsed = JSON.parse(text);
+            return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    notifyChange() {
+        this.dispatchEvent(new CustomEvent('change', { detail: { config: this._value } }));
+    }
+}
@@ -0,0 +1,115 @@
+import { LightningElement, api, track, wire } from 'lwc';
+import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+import getFieldSetOptions from '@salesforce/apex/PatternRuleManagerController.getFieldSetOptions';
+
+const FIELD_SET_PREFIX = 'FieldSet:';
+const MAX_COLUMNS = 15; // Matches PatternAnalysisService.MAX_PREVIEW_COLUMNS
+
+const SOURCE_OPTIONS = [
+    { label: 'Default', value: 'default' },
+    { label: 'Field List', value: 'fields' },
+    { label: 'Field Set', value: 'fieldset' }
+];
+
+/**
+ * Edits a rule's Preview_Columns__c value: blank (built-in columns), a comma-separated
+ * field list, or FieldSet:Name. Fires `change` with detail { value } on every edit.
+ */
+export default class PreviewColumnPicker extends LightningElement {
+    @api objectApiName;
+
+    @track fieldOptions = [];
+    @track fieldSetOptions = [];
+    @track selectedFields = [];
+    source = 'default';
+    fieldSetName = '';
+    _value = '';
+
+    @api
+    get value() {
+        return this._value;
+    }
+    set value(val) {
+        this._value = val || '';
+        const trimmed = this._value.trim();
+        if (!trimmed) {
+            this.source = 'default';
+        } else if (trimmed.toLowerCase().startsWith(FIELD_SET_PREFIX.toLowerCase())) {
+            this.source = 'fieldset';
+            this.fieldSetName = trimmed.substring(FIELD_SET_PREFIX.length).trim();
+        } else {
+            this.source = 'fields';
+            this.selectedFields = trimmed.split(',').map(f => f.trim()).filter(f => f);
+        }
+    }
+
+    @wire(getObjectFields, { objectName: '$objectApiName' })
+    wiredFields({ data, error }) {
+        if (data) {
+            this.fieldOptions = data.map(f => ({ label: `${f.label} (${f.value})`, value: f.value }));
+        } else if (error) {
+            console.error('Error loading preview column fields:', error);
+            this.fieldOptions = [];
+        }
+    }
+
+    @wire(getFieldSetOptions, { objectName: '$objectApiName' })
+    wiredFieldSets({ data, error }) {
+        if (data) {
+            this.fieldSetOptions = data.map(f => ({ label: f.label, value: f.value }));
+        } else if (error) {
+            console.error('Error loading field sets:', error);
+            this.fieldSetOptions = [];
+        }
+    }
+
+    get sourceOptions() {
+        return SOURCE_OPTIONS;
+    }
+
+    get maxColumns() {
+        return MAX_COLUMNS;
+    }
+
+    get isDefault() {
+        return this.source === 'default';
+    }
+
+    get isFieldList() {
+        return this.source === 'fields';
+    }
+
+    get isFieldSet() {
+        return this.source === 'fieldset';
+    }
+
+    get hasFieldSets() {
+        return this.fieldSetOptions.length > 0;
+    }
+
+    handleSourceChange(event) {
+        this.source = event.detail.value;
+        this.notifyChange();
+    }
+
+    handleFieldsChange(event) {
+        this.selectedFields = event.detail.value;
+        this.notifyChange();
+    }
+
+    handleFieldSetChange(event) {
+        this.fieldSetName = event.detail.value;
+        this.notifyChange();
+    }
+
+    notifyChange() {
+        let value = '';
+        if (this.isFieldList) {
+            value = this.selectedFields.join(', ');
+        } else if (this.isFieldSet && this.fieldSetName) {
+            value = FIELD_SET_PREFIX + this.fieldSetName;
+        }
+        this._value = value;
+        this.dispatchEvent(new CustomEvent('change', { detail: { value } }));
+    }
+}
@@ -0,0 +1,407 @@
+import { createElement } from '@lwc/engine-dom';
+import QueryConditionBuilder from 'c/queryConditionBuilder';
+import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+import getChildRelationships from '@salesforce/apex/PatternRuleManagerController.getChildRelationships';
+import getThresholdTokens from '@salesforce/apex/PatternRuleManagerController.getThresholdTokens';
+import countConditionMatches from '@salesforce/apex/PatternRuleManagerController.countConditionMatches';
+
+// Mock Apex methods
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getObjectFields',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getRelationshipFields',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getChildRelationships',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getPicklistValues',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.validateQueryCondition',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.countConditionMatches',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+jest.mock(
+    '@salesforce/apex/PatternRuleManagerController.getThresholdTokens',
+    () => ({ default: jest.fn() }),
+    { virtual: true }
+);
+
+const MOCK_FIELDS = [
+    { label: 'Status', value: 'Status', dataType: 'PICKLIST' },
+    { label: 'Priority', value: 'Priority', dataType: 'PICKLIST' },
+    { label: 'Escalated', value: 'IsEscalated', dataType: 'BOOLEAN' }
+];
+
+const MOCK_CHILD_RELATIONSHIPS = [
+    { label: 'Activities (Task)', value: 'Task.WhatId', childObject: 'Task', childField: 'WhatId', relationshipName: 'Tasks' },
+    { label: 'Case Comments', value: 'CaseComment.ParentId', childObject: 'CaseComment', childField: 'ParentId', relationshipName: 'CaseComments' }
+];
+
+const GROUPED_CONDITION = "Status = 'New' AND (Priority = 'High' OR IsEscalated = true)";
+
+// Helper to flush promises
+const flushPromises = () => new Promise(process.nextTick);
+
+async function createBuilder(initialCondition) {
+    getObjectFields.mockResolvedValue(MOCK_FIELDS);
+    getChildRelationships.mockResolvedValue(MOCK_CHILD_RELATIONSHIPS);
+    getThresholdTokens.mockResolvedValue([]);
+    countConditionMatches.mockResolvedValue([]);
+
+    const element = createElement('c-query-condition-builder', { is: QueryConditionBuilder });
+    element.objectApiName = 'Case';
+    element.initialCondition = initialCondition;
+    document.body.appendChild(element);
+    await flushPromises();
+    await flushPromises();
+    return element;
+}
+
+function getInput(element, label) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-input'))
+        .find(input => input.label === label);
+}
+
+function getCombobox(element, name) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-combobox'))
+        .find(combobox => combobox.name === name);
+}
+
+function getAddButton(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('lightning-button'))
+        .find(button => button.label === 'Add');
+}
+
+function getConditionRows(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('li.condition-item .condition-text')).map(row => ({
+        label: row.querySelector('strong').textContent,
+        operator: row.querySelector('strong + span').textContent,
+        value: row.querySelector('em').textContent
+    }));
+}
+
+async function selectRelatedRecords(element, relationship) {
+    const conditionType = element.shadowRoot.querySelector('lightning-radio-group');
+    conditionType.dispatchEvent(new CustomEvent('change', { detail: { value: 'related' } }));
+    await flushPromises();
+    getCombobox(element, 'childRelationship').dispatchEvent(new CustomEvent('change', { detail: { value: relationship } }));
+    await flushPromises();
+}
+
+function getStepCounts(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('span[title="Records matching the conditions up to here"]'))
+        .map(span => span.textContent.replace('→', '').trim());
+}
+
+function getLiveCountSummary(element) {
+    const summary = element.shadowRoot.querySelector('h3 span.slds-text-body_small');
+    return summary ? summary.textContent : null;
+}
+
+async function runLiveCount() {
+    jest.advanceTimersByTime(600);
+    await flushPromises();
+}
+
+function getErrorMessages(element) {
+    return Array.from(element.shadowRoot.querySelectorAll('p.slds-text-color_error'))
+        .map(p => p.textContent);
+}
+
+async function changeLogic(element, logic) {
+    const logicInput = getInput(element, 'Logic');
+    logicInput.value = logic;
+    logicInput.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+}
+
+async function toggleCustomLogic(element, checked) {
+    const toggle = getInput(element, 'Custom Condition Logic');
+    toggle.checked = checked;
+    toggle.dispatchEvent(new CustomEvent('change'));
+    await flushPromises();
+    return toggle;
+}
+
+describe('c-query-condition-builder', () => {
+    beforeEach(() => {
+        jest.useFakeTimers({ doNotFake: ['nextTick'] });
+    });
+
+    afterEach(() => {
+        while (document.body.firstChild) {
+            document.body.removeChild(document.body.firstChild);
+        }
+        jest.clearAllMocks();
+        jest.useRealTimers();
+    });
+
+    describe('custom condition logic', () => {
+        it('parses grouped conditions into custom logic and writes them back unchanged', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            expect(element.shadowRoot.querySelectorAll('li.condition-item').length).toBe(3);
+            expect(getInput(element, 'Custom Condition Logic').checked).toBe(true);
+            expect(getInput(element, 'Logic').value).toBe('1 AND (2 OR 3)');
+            expect(element.getQueryCondition()).toBe(GROUPED_CONDITION);
+        });
+
+        it('writes flat conditions back unchanged with row-by-row logic', async () => {
+            const condition = "Status = 'New' OR Priority = 'High' OR IsEscalated = true";
+            const element = await createBuilder(condition);
+
+            expect(getInput(element, 'Custom Condition Logic').checked).toBe(false);
+            expect(element.getQueryCondition()).toBe(condition);
+        });
+
+        it('writes edited logic back with the original condition text', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            await changeLogic(element, '(1 AND 2) OR 3');
+
+            expect(getErrorMessages(element)).toEqual([]);
+            expect(element.getQueryCondition()).toBe("(Status = 'New' AND Priority = 'High') OR IsEscalated = true");
+        });
+
+        it('renumbers the logic when a condition is removed', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            const removeButtons = element.shadowRoot.querySelectorAll('lightning-button-icon[title="Remove Condition"]');
+            removeButtons[1].click();
+            await flushPromises();
+
+            expect(getInput(element, 'Logic').value).toBe('1 AND (2)');
+            expect(getErrorMessages(element)).toEqual([]);
+            expect(element.getQueryCondition()).toBe("Status = 'New' AND (IsEscalated = true)");
+        });
+
+        it('rejects logic that mixes AND and OR without parentheses', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            await changeLogic(element, '1 AND 2 OR 3');
+
+            const message = 'Use parentheses when mixing AND and OR, e.g. 1 AND (2 OR 3).';
+            expect(getErrorMessages(element)).toEqual([message]);
+            await expect(element.validate()).resolves.toEqual({ isValid: false, errorMessage: message });
+        });
+
+        it('rejects logic with unknown or unused conditions', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            await changeLogic(element, '1 AND (2 OR 4)');
+            expect(getErrorMessages(element)).toEqual(['Condition 4 does not exist.']);
+
+            await changeLogic(element, '1 AND 2');
+            expect(getErrorMessages(element)).toEqual(['Condition 3 is not used in the condition logic.']);
+
+            await changeLogic(element, '1 AND (2 OR 3');
+            expect(getErrorMessages(element)).toEqual([
+                'The condition logic is incomplete. Check its operators and parentheses.'
+            ]);
+        });
+
+        it('keeps grouped logic on instead of turning it off', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            const toggle = await toggleCustomLogic(element, false);
+
+            expect(toggle.checked).toBe(true);
+            expect(getInput(element, 'Logic').value).toBe('1 AND (2 OR 3)');
+            expect(getErrorMessages(element)[0]).toContain('can\'t group conditions');
+            expect(element.getQueryCondition()).toBe(GROUPED_CONDITION);
+        });
+
+        it('turns flat logic off as row-by-row logic without changing the query', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+
+            await changeLogic(element, '1 OR 2 OR 3');
+            await toggleCustomLogic(element, false);
+
+            expect(getInput(element, 'Logic')).toBeUndefined();
+            expect(getErrorMessages(element)).toEqual([]);
+            expect(element.getQueryCondition()).toBe("Status = 'New' OR Priority = 'High' OR IsEscalated = true");
+        });
+    });
+
+    describe('related records conditions', () => {
+        it('adds a related records condition as a semi-join', async () => {
+            const element = await createBuilder('');
+            const handler = jest.fn();
+            element.addEventListener('conditionchange', handler);
+
+            await selectRelatedRecords(element, 'Task.WhatId');
+            getCombobox(element, 'existence').dispatchEvent(new CustomEvent('change', { detail: { value: 'NOT_EXISTS' } }));
+            const filter = getInput(element, 'Related Record Filter (optional)');
+            filter.dispatchEvent(new CustomEvent('change', { detail: { value: ' ActivityDate = LAST_N_DAYS:30 ' } }));
+            await flushPromises();
+            getAddButton(element).click();
+            await flushPromises();
+
+            const condition = 'Id NOT IN (SELECT WhatId FROM Task WHERE ActivityDate = LAST_N_DAYS:30)';
+            expect(element.getQueryCondition()).toBe(condition);
+            expect(handler.mock.calls[0][0].detail.condition).toBe(condition);
+            expect(getConditionRows(element)).toEqual([
+                { label: 'Activities (Task)', operator: 'none exist', value: 'where ActivityDate = LAST_N_DAYS:30' }
+            ]);
+        });
+
+        it('leaves out the WHERE clause when there is no related record filter', async () => {
+            const element = await createBuilder("Status = 'New'");
+
+            await selectRelatedRecords(element, 'CaseComment.ParentId');
+            getAddButton(element).click();
+            await flushPromises();
+
+            expect(element.getQueryCondition()).toBe(
+                "Status = 'New' AND Id IN (SELECT ParentId FROM CaseComment)"
+            );
+        });
+
+        it('only enables Add once a relationship is selected', async () => {
+            const element = await createBuilder('');
+
+            const conditionType = element.shadowRoot.querySelector('lightning-radio-group');
+            conditionType.dispatchEvent(new CustomEvent('change', { detail: { value: 'related' } }));
+            await flushPromises();
+            expect(getAddButton(element).disabled).toBe(true);
+
+            getCombobox(element, 'childRelationship').dispatchEvent(new CustomEvent('change', { detail: { value: 'Task.WhatId' } }));
+            await flushPromises();
+            expect(getAddButton(element).disabled).toBe(false);
+        });
+
+        it('loads existing semi-joins as related records conditions and writes them back unchanged', async () => {
+            const condition = "Status = 'New' AND Id NOT IN (SELECT WhatId FROM Task WHERE Status != 'Completed')";
+            const element = await createBuilder(condition);
+
+            expect(getConditionRows(element)[1]).toEqual(
+                { label: 'Activities (Task)', operator: 'none exist', value: "where Status != 'Completed'" }
+            );
+            expect(element.getQueryCondition()).toBe(condition);
+        });
+
+        it('groups related records conditions in custom logic', async () => {
+            const condition = "Status = 'New' AND (Id IN (SELECT ParentId FROM CaseComment) OR IsEscalated = true)";
+            const element = await createBuilder(condition);
+
+            expect(getInput(element, 'Logic').value).toBe('1 AND (2 OR 3)');
+            expect(getConditionRows(element)[1]).toEqual(
+                { label: 'Case Comments', operator: 'at least one exists', value: '' }
+            );
+            expect(element.getQueryCondition()).toBe(condition);
+        });
+    });
+
+    describe('live match count', () => {
+        const FLAT_CONDITION = "Status = 'New' AND Priority = 'High' AND IsEscalated = true";
+
+        it('counts the conditions step by step once edits settle', async () => {
+            const element = await createBuilder(FLAT_CONDITION);
+            countConditionMatches.mockResolvedValue([
+                { count: 12000, isCapped: true },
+                { count: 1500, isCapped: false },
+                { count: 40, isCapped: false }
+            ]);
+
+            jest.advanceTimersByTime(599);
+            expect(countConditionMatches).not.toHaveBeenCalled();
+            await runLiveCount();
+
+            expect(countConditionMatches).toHaveBeenCalledTimes(1);
+            expect(countConditionMatches).toHaveBeenCalledWith({
+                objectName: 'Case',
+                conditions: [
+                    "Status = 'New'",
+                    "Status = 'New' AND Priority = 'High'",
+                    FLAT_CONDITION
+                ]
+            });
+            expect(getStepCounts(element)).toEqual([`Over ${(10000).toLocaleString()}`, (1500).toLocaleString(), '40']);
+            expect(getLiveCountSummary(element)).toBe('40 matching records');
+        });
+
+        it('counts only once for edits made in quick succession', async () => {
+            const element = await createBuilder(FLAT_CONDITION);
+            countConditionMatches.mockResolvedValue([{ count: 5, isCapped: false }, { count: 2, isCapped: false }]);
+
+            const removeButtons = element.shadowRoot.querySelectorAll('lightning-button-icon[title="Remove Condition"]');
+            removeButtons[2].click();
+            await flushPromises();
+            jest.advanceTimersByTime(300);
+            removeButtons[1].click();
+            await flushPromises();
+            await runLiveCount();
+
+            expect(countConditionMatches).toHaveBeenCalledTimes(1);
+            expect(countConditionMatches.mock.calls[0][0].conditions).toEqual(["Status = 'New'"]);
+        });
+
+        it('counts only the full condition with custom logic', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+            countConditionMatches.mockResolvedValue([{ count: 7, isCapped: false }]);
+
+            await runLiveCount();
+
+            expect(countConditionMatches.mock.calls[0][0].conditions).toEqual([GROUPED_CONDITION]);
+            expect(getStepCounts(element)).toEqual([]);
+            expect(getLiveCountSummary(element)).toBe('7 matching records');
+        });
+
+        it('does not count custom logic that is invalid', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+            await runLiveCount();
+            countConditionMatches.mockClear();
+
+            await changeLogic(element, '1 AND 2 OR 3');
+            await runLiveCount();
+
+            expect(countConditionMatches).not.toHaveBeenCalled();
+            expect(getLiveCountSummary(element)).toBeNull();
+        });
+
+        it('stops counting when custom logic turns invalid during a count', async () => {
+            const element = await createBuilder(GROUPED_CONDITION);
+            let resolveCount;
+            countConditionMatches.mockReturnValue(new Promise(resolve => {
+                resolveCount = resolve;
+            }));
+
+            await runLiveCount();
+            expect(getLiveCountSummary(element)).toBe('Counting matches...');
+
+            await changeLogic(element, '1 AND 2 OR 3');
+            await runLiveCount();
+            resolveCount([{ count: 7, isCapped: false }]);
+            await flushPromises();
+
+            expect(countConditionMatches).toHaveBeenCalledTimes(1);
+            expect(getLiveCountSummary(element)).toBeNull();
+        });
+
+        it('shows the error when the count fails', async () => {
+            const element = await createBuilder(FLAT_CONDITION);
+            countConditionMatches.mockRejectedValue({ body: { message: 'Object not accessible: Case' } });
+
+            await runLiveCount();
+
+            expect(getStepCounts(element)).toEqual([]);
+            expect(getLiveCountSummary(element)).toBe("Can't count matches: Object not accessible: Case");
+        });
+    });
+});
@@ -1,7 +1,11 @@
-import { LightningElement, api, track, wire } from 'lwc';
+import { LightningElement, api, track } from 'lwc';
 import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+import getRelationshipFields from '@salesforce/apex/PatternRuleManagerController.getRelationshipFields';
+import getChildRelationships from '@salesforce/apex/PatternRuleManagerController.getChildRelationships';
 import getPicklistValues from '@salesforce/apex/PatternRuleManagerController.getPicklistValues';
 import validateQueryCondition from '@salesforce/apex/PatternRuleManagerController.validateQueryCondition';
+import countConditionMatches from '@salesforce/apex/PatternRuleManagerController.countConditionMatches';
+import getThresholdTokens from '@salesforce/apex/PatternRuleManagerController.getThresholdTokens';
 
 // Operators by field type
 const OPERATORS = {
@@ -98,6 +102,27 @@ const LOGIC_OPTIONS = [
     { label: 'OR', value: 'OR' }
 ];
 
+const CONDITION_TYPE_OPTIONS = [
+    { label: 'Field', value: 'field' },
+    { label: 'Related Records', value: 'related' }
+];
+
+// Related-records conditions become semi-joins: Id IN / NOT IN (SELECT ...)
+const EXISTENCE_OPTIONS = [
+    { label: 'At least one exists', value: 'EXISTS' },
+    { label: 'None exist', value: 'NOT_EXISTS' }
+];
+
+// Live match count: wait for edits to settle, and show counts above the server cap as "over"
+const LIVE_COUNT_DELAY_MS = 600;
+const LIVE_COUNT_CAP = 10000;
+
+// Tokens allowed in custom condition logic, e.g. "1 AND (2 OR NOT 3)"
+const LOGIC_TOKEN = /^(\d+|\(|\)|AND|OR|NOT)$/;
+
+// A BehaviorIQ setting used as a value, e.g. {!Stale_Case_Threshold}; resolved when the rule runs
+const THRESHOLD_TOKEN = /\{!(\w+)\}/g;
+
 export default class QueryConditionBuilder extends LightningElement {
     @api objectApiName;
     @api initialCondition = '';
@@ -108,6 +133,12 @@ export default class QueryConditionBuilder extends LightningElement {
     @track validationError = '';
     @track isValidating = false;
 
+    // Custom condition logic: conditions are referenced by number instead of per-row AND/OR
+    @track useCustomLogic = false;
+    @track customLogic = '';
+    @track customLogicError = '';
+    @track customLogicToggleError = '';
+
     // Current condition being built
     @track currentField = '';
     @track currentOperator = '';
@@ -116,6 +147,24 @@ export default class QueryConditionBuilder extends LightningElement {
     @track currentFieldType = '';
     @track currentDateLiteral = '';
     @track currentDateN = '';
+    @track currentThresholdToken = '';
+
+    // BehaviorIQ settings offered as values instead of fixed numbers
+    @track thresholdTokens = [];
+
+    // Related-records condition being built
+    @track conditionType = 'field';
+    @track childRelationships = [];
+    @track currentRelationship = '';
+    @track currentExistence = 'EXISTS';
+    @track currentChildFilter = '';
+
+    // Live match count, per condition (narrowing step by step) and in total
+    @track liveCounts = [];
+    @track liveTotal = null;
+    @track isCounting = false;
+    _liveCountTimeout = null;
+    _liveCountRequest = 0;
 
     // Picklist values for picklist fields
     @track picklistOptions = [];
@@ -126,6 +175,11 @@ export default class QueryConditionBuilder extends LightningElement {
     @track isFieldDropdownOpen = false;
     _fieldBlurTimeout = null;
 
+    // Lookups walked in the field picker, e.g. [{ name: 'Contact' }, { name: 'Contact.Account' }]
+    @track relationshipPath = [];
+    // Fields per relationship path ('' is the rule's own object)
+    _fieldCache = {};
+
     // Track if initial field load has been attempted
     _hasLoadedFields = false;
 
@@ -134,6 +188,10 @@ export default class QueryConditionBuilder extends LightningElement {
         // so field labels and types are available for the parser
     }
 
+    disconnectedCallback() {
+        clearTimeout(this._liveCountTimeout);
+    }
+
     renderedCallback() {
         // Load fields once when objectApiName is available
         if (this.objectApiName && !this._hasLoadedFields && !this.isLoadingFields) {
@@ -151,6 +209,11 @@ export default class QueryConditionBuilder extends LightningElement {
             this.loadFields();
             // Clear conditions when object changes
             this.conditions = [];
+            this._scheduleLiveCount();
+            this.useCustomLogic = false;
+            this.customLogic = '';
+            this.customLogicError = '';
+            this.customLogicToggleError = '';
             this.resetCurrentCondition();
         }
     }
@@ -167,25 +230,109 @@ export default class QueryConditionBuilder extends LightningElement {
         }
 
         this.isLoadingFields = true;
+        this._fieldCache = {};
+        this.relationshipPath = [];
 
         try {
             const result = await getObjectFields({ objectName: this.objectApiName });
-            this.fields = result.map(f => ({
-                label: f.label,
-                value: f.value,
-                dataType: f.dataType
-            }));
+            this.fields = result.map(f => this.toFieldOption(f));
         } catch (error) {
             console.error('Error loading fields:', error);
             this.fields = [];
         }
+        this._fieldCache[''] = this.fields;
+
+        try {
+            this.childRelationships = await getChildRelationships({ objectName: this.objectApiName });
+        } catch (error) {
+            console.error('Error loading child relationships:', error);
+            this.childRelationships = [];
+        }
 
-        this.isLoadingFields = false;
+        try {
+            this.thresholdTokens = await getThresholdTokens();
+        } catch (error) {
+            console.error('Error loading threshold settings:', error);
+            this.thresholdTokens = [];
+        }
 
-        // Parse initial condition now that fields are available
+        // Parse initial condition now that fields are available, including those of related objects
         if (this.initialCondition && this.conditions.length === 0) {
+            await Promise.all(
+                this._collectRelationshipPaths(this.initialCondition).map(path => this.loadRelationshipFields(path))
+            );
+            this.isLoadingFields = false;
             this.parseInitialCondition();
+        } else {
+            this.isLoadingFields = false;
+        }
+    }
+
+    toFieldOption(f) {
+        return {
+            label: f.label,
+            value: f.value,
+            dataType: f.dataType,
+            relationshipName: f.relationshipName,
+            relationshipLabel: f.relationshipLabel
+        };
+    }
+
+    // Load the fields of the object a relationship path leads to (cached per path)
+    async loadRelationshipFields(path) {
+        if (this._fieldCache[path]) {
+            return this._fieldCache[path];
+        }
+        try {
+            const result = await getRelationshipFields({
+                objectName: this.objectApiName,
+                relationshipPath: path
+            });
+            this._fieldCache[path] = result.map(f => this.toFieldOption(f));
+        } catch (error) {
+            console.error('Error loading related fields:', error);
+            this._fieldCache[path] = [];
         }
+        return this._fieldCache[path];
+    }
+
+    // Relationship paths referenced by a condition: "Contact.Account.Type" gives Contact and Contact.Account
+    _collectRelationshipPaths(condition) {
+        const paths = new Set();
+        const withoutStrings = (condition || '').replace(/'[^']*'/g, ' ');
+        const references = withoutStrings.match(/\b[A-Za-z_]\w*(?:\.[A-Za-z_]\w*)+/g) || [];
+        for (const reference of references) {
+            const parts = reference.split('.');
+            for (let i = 1; i < parts.length; i++) {
+                paths.add(parts.slice(0, i).join('.'));
+            }
+        }
+        return [...paths];
+    }
+
+    // Find a field by its (possibly dotted) API name among the loaded fields
+    _findField(fieldPath) {
+        const dot = fieldPath.lastIndexOf('.');
+        const parentPath = dot === -1 ? '' : fieldPath.substring(0, dot);
+        const candidates = this._fieldCache[parentPath] || (dot === -1 ? this.fields : []);
+        return candidates.find(f => f.value.toLowerCase() === fieldPath.toLowerCase());
+    }
+
+    // Human-readable relationship path, e.g. "Contact > Account"
+    _relationshipPathLabel(path) {
+        const parts = path.split('.');
+        return parts.map((part, index) => {
+            const parentPath = parts.slice(0, index).join('.');
+            const fullPath = parts.slice(0, index + 1).join('.');
+            const lookup = (this._fieldCache[parentPath] || []).find(f => f.relationshipName === fullPath);
+            return lookup ? lookup.relationshipLabel : part;
+        }).join(' > ');
+    }
+
+    // Field label including its relationship path, e.g. "Owner > Active"
+    _fieldDisplayLabel(field) {
+        const dot = field.value.lastIndexOf('.');
+        return dot === -1 ? field.label : `${this._relationshipPathLabel(field.value.substring(0, dot))} > ${field.label}`;
     }
 
     // Computed properties
@@ -218,6 +365,33 @@ export default class QueryConditionBuilder extends LightningElement {
         return this.filteredFieldOptions.length > 0;
     }
 
+    // Lookups on the current object that can be walked to a related object's fields
+    get filteredRelationshipOptions() {
+        const searchLower = (this.fieldSearchTerm || '').toLowerCase();
+        return this.fields
+            .filter(f => f.relationshipName)
+            .filter(f => !searchLower || f.relationshipLabel.toLowerCase().includes(searchLower))
+            .map(f => ({ label: f.relationshipLabel, value: f.relationshipName }));
+    }
+
+    get hasFilteredRelationships() {
+        return this.filteredRelationshipOptions.length > 0;
+    }
+
+    get hasNoFieldMatches() {
+        return !this.hasFilteredFields && !this.hasFilteredRelationships;
+    }
+
+    get isInRelationship() {
+        return this.relationshipPath.length > 0;
+    }
+
+    get relationshipBreadcrumb() {
+        if (!this.isInRelationship) return '';
+        const current = this.relationshipPath[this.relationshipPath.length - 1];
+        return this._relationshipPathLabel(current.name);
+    }
+
     get fieldComboboxClass() {
         return this.isFieldDropdownOpen
             ? 'slds-combobox slds-dropdown-trigger slds-dropdown-trigger_click slds-is-open'
@@ -243,10 +417,74 @@ export default class QueryConditionBuilder extends LightningElement {
         return LOGIC_OPTIONS;
     }
 
+    get conditionTypeOptions() {
+        return CONDITION_TYPE_OPTIONS;
+    }
+
+    get existenceOptions() {
+        return EXISTENCE_OPTIONS;
+    }
+
+    get isRelatedCondition() {
+        return this.conditionType === 'related';
+    }
+
+    get childRelationshipOptions() {
+        return this.childRelationships.map(r => ({ label: r.label, value: r.value }));
+    }
+
+    get childFilterPlaceholder() {
+        return this.currentRelationship
+            ? `e.g. CreatedDate = LAST_N_DAYS:30 (fields of ${this.currentRelationship.split('.')[0]})`
+            : 'Select a relationship first';
+    }
+
     get hasConditions() {
         return this.conditions && this.conditions.length > 0;
     }
 
+    // Conditions with their 1-based number, as referenced by custom logic
+    get conditionRows() {
+        return this.conditions.map((c, index) => ({
+            ...c,
+            number: index + 1,
+            showLogic: !this.useCustomLogic && !!c.logic,
+            liveCountLabel: this.useCustomLogic ? '' : this._formatLiveCount(this.liveCounts[index])
+        }));
+    }
+
+    get showLiveCount() {
+        return this.isCounting || !!this.liveTotal;
+    }
+
+    get liveCountSummary() {
+        if (this.isCounting) {
+            return 'Counting matches...';
+        }
+        if (!this.liveTotal) {
+            return '';
+        }
+        if (this.liveTotal.errorMessage) {
+            return `Can't count matches: ${this.liveTotal.errorMessage}`;
+        }
+        const label = this._formatLiveCount(this.liveTotal);
+        return label ? `${label} matching records` : '';
+    }
+
+    get liveCountClass() {
+        return this.liveTotal && this.liveTotal.errorMessage && !this.isCounting
+            ? 'slds-text-body_small slds-text-color_error'
+            : 'slds-text-body_small slds-text-color_weak';
+    }
+
+    get showCustomLogicToggle() {
+        return this.conditions.length > 1 || this.useCustomLogic;
+    }
+
+    get customLogicPlaceholder() {
+        return this.conditions.length > 2 ? '1 AND (2 OR 3)' : '1 AND 2';
+    }
+
     get isFieldDisabled() {
         return !this.objectApiName || this.isLoadingFields;
     }
@@ -298,20 +536,40 @@ export default class QueryConditionBuilder extends LightningElement {
             (this.currentDateLiteral.includes('LAST_N_') || this.currentDateLiteral.includes('NEXT_N_'));
     }
 
+    // Number comparisons and relative dates can take a BehaviorIQ setting instead of a fixed number
+    get showThresholdTokenInput() {
+        if (this.thresholdTokens.length === 0) return false;
+        if (this.showDateNInput) return true;
+        return this.showNumberInput && !['IN', 'NOT_IN'].includes(this.currentOperator);
+    }
+
+    get thresholdTokenOptions() {
+        return [
+            { label: 'None (enter a value)', value: '' },
+            ...this.thresholdTokens.map(t => ({ label: `${t.label} (currently ${t.value})`, value: t.token }))
+        ];
+    }
+
+    get isThresholdTokenSelected() {
+        return !!this.currentThresholdToken;
+    }
+
     get showSpecificDateInput() {
         return this.showDateInput && this.currentDateLiteral === 'SPECIFIC';
     }
 
     get isAddDisabled() {
+        if (this.isRelatedCondition) return !this.currentRelationship;
+
         if (!this.currentField || !this.currentOperator) return true;
 
         if (this.isNullOperator) return false;
 
         if (this.showDateInput) {
             if (!this.currentDateLiteral) return true;
-            if (this.showDateNInput && !this.currentDateN) return true;
+            if (this.showDateNInput && !this.currentDateN && !this.currentThresholdToken) return true;
             if (this.showSpecificDateInput && !this.currentValue) return true;
-        } else if (!this.currentValue && !this.showBooleanInput) {
+        } else if (!this.currentValue && !this.showBooleanInput && !this.currentThresholdToken) {
             return true;
         }
 
@@ -319,7 +577,7 @@ export default class QueryConditionBuilder extends LightningElement {
     }
 
     get showLogicSelector() {
-        return this.conditions.length > 0;
+        return this.conditions.length > 0 && !this.useCustomLogic;
     }
 
     // Normalize field type to our categories
@@ -357,6 +615,7 @@ export default class QueryConditionBuilder extends LightningElement {
 
     handleFieldInputBlur() {
         // Delay closing to allow click events on dropdown items
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
         this._fieldBlurTimeout = setTimeout(() => {
             this.isFieldDropdownOpen = false;
         }, 200);
@@ -372,6 +631,25 @@ export default class QueryConditionBuilder extends LightningElement {
         this.selectField(fieldValue);
     }
 
+    // Walk into a lookup and list the related object's fields
+    async handleRelationshipSelect(event) {
+        const path = event.currentTarget.dataset.value;
+        this.isFieldDropdownOpen = true;
+        this.fields = await this.loadRelationshipFields(path);
+        this.relationshipPath = [...this.relationshipPath, { name: path }];
+        this.fieldSearchTerm = '';
+    }
+
+    handleRelationshipBack() {
+        this.relationshipPath = this.relationshipPath.slice(0, -1);
+        const parentPath = this.isInRelationship
+            ? this.relationshipPath[this.relationshipPath.length - 1].name
+            : '';
+        this.fields = this._fieldCache[parentPath] || [];
+        this.fieldSearchTerm = '';
+        this.isFieldDropdownOpen = true;
+    }
+
     handleFieldKeyDown(event) {
         if (event.key === 'Escape') {
             this.isFieldDropdownOpen = false;
@@ -392,7 +670,7 @@ export default class QueryConditionBuilder extends LightningElement {
 
         // Find field and set display
         const field = this.fields.find(f => f.value === fieldValue);
-        this.fieldSearchTerm = field ? field.label : fieldValue;
+        this.fieldSearchTerm = field ? this._fieldDisplayLabel(field) : fieldValue;
         this.currentFieldType = field ? field.dataType : '';
 
         // Close dropdown
@@ -455,6 +733,7 @@ export default class QueryConditionBuilder extends LightningElement {
         this.currentValue = '';
         this.currentDateLiteral = '';
         this.currentDateN = '';
+        this.currentThresholdToken = '';
     }
 
     handleValueChange(event) {
@@ -465,32 +744,79 @@ export default class QueryConditionBuilder extends LightningElement {
         this.currentDateLiteral = event.detail.value;
         this.currentDateN = '';
         this.currentValue = '';
+        this.currentThresholdToken = '';
     }
 
     handleDateNChange(event) {
         this.currentDateN = event.detail.value;
     }
 
+    handleThresholdTokenChange(event) {
+        this.currentThresholdToken = event.detail.value;
+    }
+
     handleLogicChange(event) {
         this.currentLogic = event.detail.value;
     }
 
+    handleConditionTypeChange(event) {
+        this.conditionType = event.detail.value;
+        const logic = this.currentLogic;
+        this.resetCurrentCondition();
+        this.currentLogic = logic;
+    }
+
+    handleRelationshipChange(event) {
+        this.currentRelationship = event.detail.value;
+    }
+
+    handleExistenceChange(event) {
+        this.currentExistence = event.detail.value;
+    }
+
+    handleChildFilterChange(event) {
+        this.currentChildFilter = event.detail.value;
+    }
+
     handleAddCondition() {
-        // Build the condition string
-        const condition = this.buildConditionString();
+        let entry = null;
 
-        if (condition) {
+        if (this.isRelatedCondition) {
+            const [childObject, childField] = this.currentRelationship.split('.');
+            entry = this._buildRelatedConditionObj(
+                childObject, childField, this.currentExistence === 'NOT_EXISTS', (this.currentChildFilter || '').trim()
+            );
+        } else {
+            // Build the condition string
+            const condition = this.buildConditionString();
+            if (condition) {
+                entry = {
+                    field: this.currentField,
+                    fieldLabel: this._fieldLabelFor(this.currentField),
+                    operator: this.currentOperator,
+                    operatorLabel: this.operatorOptions.find(o => o.value === this.currentOperator)?.label || this.currentOperator,
+                    value: this.getDisplayValue(),
+                    conditionString: condition
+                };
+            }
+        }
+
+        if (entry) {
             this.conditions.push({
+                ...entry,
                 id: Date.now(),
-                field: this.currentField,
-                fieldLabel: this.fields.find(f => f.value === this.currentField)?.label || this.currentField,
-                operator: this.currentOperator,
-                operatorLabel: this.operatorOptions.find(o => o.value === this.currentOperator)?.label || this.currentOperator,
-                value: this.getDisplayValue(),
-                logic: this.conditions.length > 0 ? this.currentLogic : '',
-                conditionString: condition
+                logic: this.conditions.length > 0 ? this.currentLogic : ''
             });
 
+            // New conditions are ANDed onto the custom logic; admins can regroup them afterwards
+            if (this.useCustomLogic) {
+                const number = this.conditions.length;
+                this.customLogic = this.customLogic.trim()
+                    ? `${this.customLogic.trim()} AND ${number}`
+                    : String(number);
+                this.customLogicError = this._validateCustomLogic(this.customLogic);
+            }
+
             this.resetCurrentCondition();
             this.fireChange();
         }
@@ -507,7 +833,7 @@ export default class QueryConditionBuilder extends LightningElement {
             return `${field} != null`;
         }
 
-        let value = this.currentValue;
+        let value = this.currentThresholdToken || this.currentValue;
         const type = this.normalizeFieldType(this.currentFieldType);
 
         // Handle date literals
@@ -515,7 +841,7 @@ export default class QueryConditionBuilder extends LightningElement {
             if (this.currentDateLiteral === 'SPECIFIC') {
                 value = this.currentValue;
             } else if (this.currentDateLiteral.includes('_N_')) {
-                value = `${this.currentDateLiteral}:${this.currentDateN}`;
+                value = `${this.currentDateLiteral}:${this.currentThresholdToken || this.currentDateN}`;
             } else {
                 value = this.currentDateLiteral;
             }
@@ -563,11 +889,17 @@ export default class QueryConditionBuilder extends LightningElement {
                 return this.currentValue;
             }
             if (this.currentDateLiteral.includes('_N_')) {
-                return `${this.currentDateLiteral}:${this.currentDateN}`;
+                return this._describeThresholdTokens(
+                    `${this.currentDateLiteral}:${this.currentThresholdToken || this.currentDateN}`
+                );
             }
             return this.currentDateLiteral;
         }
 
+        if (this.currentThresholdToken) {
+            return this._describeThresholdTokens(this.currentThresholdToken);
+        }
+
         if (type === 'BOOLEAN') {
             return this.currentValue === 'true' ? 'True' : 'False';
         }
@@ -582,6 +914,7 @@ export default class QueryConditionBuilder extends LightningElement {
 
     handleRemoveCondition(event) {
         const conditionId = parseInt(event.target.dataset.id, 10);
+        const removedNumber = this.conditions.findIndex(c => c.id === conditionId) + 1;
         this.conditions = this.conditions.filter(c => c.id !== conditionId);
 
         // Reset logic on first condition if removed
@@ -589,9 +922,60 @@ export default class QueryConditionBuilder extends LightningElement {
             this.conditions[0].logic = '';
         }
 
+        if (this.useCustomLogic && removedNumber > 0) {
+            this.customLogic = this._removeFromCustomLogic(this.customLogic, removedNumber);
+            this.customLogicError = this._validateCustomLogic(this.customLogic);
+        }
+
+        this.fireChange();
+    }
+
+    handleCustomLogicToggle(event) {
+        const tokens = this._tokenizeLogic(this.customLogic);
+        const isFlat = tokens && this._isFlatLogic(tokens, this.conditions.length);
+        this.customLogicToggleError = '';
+
+        // Row-by-row logic can't group conditions, so valid grouped logic would match different records
+        if (!event.target.checked && !this.customLogicError && !isFlat) {
+            event.target.checked = true;
+            this.customLogicToggleError = 'Row-by-row logic can\'t group conditions. ' +
+                'Change the logic to a plain list such as 1 AND 2 AND 3 before turning custom logic off.';
+            return;
+        }
+
+        this.useCustomLogic = event.target.checked;
+
+        if (this.useCustomLogic) {
+            // Start from the per-row logic so the query is unchanged until the admin edits it
+            this.customLogic = this.conditions
+                .map((c, index) => (index === 0 ? '1' : `${c.logic || 'AND'} ${index + 1}`))
+                .join(' ');
+            this.customLogicError = this._validateCustomLogic(this.customLogic);
+        } else {
+            // Keep the operators when the logic is a plain left-to-right list; incomplete logic ANDs everything
+            this.conditions = this.conditions.map((c, index) => ({
+                ...c,
+                logic: index === 0 ? '' : (isFlat ? tokens[index * 2 - 1] : 'AND')
+            }));
+            this.customLogic = '';
+            this.customLogicError = '';
+        }
+
+        this.fireChange();
+    }
+
+    handleCustomLogicChange(event) {
+        this.customLogic = event.target.value || '';
+        this.customLogicToggleError = '';
+        this.customLogicError = this._validateCustomLogic(this.customLogic);
         this.fireChange();
     }
 
+    _fieldLabelFor(fieldPath) {
+        const field = this._findField(fieldPath);
+        return field ? this._fieldDisplayLabel(field) : fieldPath;
+    }
+
     resetCurrentCondition() {
         this.currentField = '';
         this.currentOperator = '';
@@ -599,9 +983,19 @@ export default class QueryConditionBuilder extends LightningElement {
         this.currentFieldType = '';
         this.currentDateLiteral = '';
         this.currentDateN = '';
+        this.currentThresholdToken = '';
         this.currentLogic = 'AND';
+        this.currentRelationship = '';
+        this.currentExistence = 'EXISTS';
+        this.currentChildFilter = '';
         this.fieldSearchTerm = '';
         this.isFieldDropdownOpen = false;
+
+        // Start the next condition from the rule's own object
+        if (this.isInRelationship && this._fieldCache['']) {
+            this.relationshipPath = [];
+            this.fields = this._fieldCache[''];
+        }
     }
 
     // Build the full WHERE clause
@@ -611,7 +1005,16 @@ export default class QueryConditionBuilder extends LightningElement {
             return '';
         }
 
-        return this.conditions.map((c, index) => {
+        if (this.useCustomLogic) {
+            return this._applyCustomLogic();
+        }
+
+        return this._joinConditions(this.conditions);
+    }
+
+    // Join conditions with their per-row AND/OR
+    _joinConditions(conditions) {
+        return conditions.map((c, index) => {
             if (index === 0) {
                 return c.conditionString;
             }
@@ -619,41 +1022,333 @@ export default class QueryConditionBuilder extends LightningElement {
         }).join(' ');
     }
 
-    // Parse a SOQL condition string back into individual visual condition rows
+    // Count matches once edits settle; stale responses are ignored
+    _scheduleLiveCount() {
+        clearTimeout(this._liveCountTimeout);
+        this._liveCountRequest++;
+        // Step counts belong to the old rows until the new ones arrive
+        this.liveCounts = [];
+
+        if (!this.objectApiName || this.conditions.length === 0) {
+            this.liveTotal = null;
+            this.isCounting = false;
+            return;
+        }
+
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._liveCountTimeout = setTimeout(() => {
+            this.refreshLiveCount();
+        }, LIVE_COUNT_DELAY_MS);
+    }
+
+    async refreshLiveCount() {
+        // Per-row logic narrows step by step; custom logic only has a meaningful total
+        let steps;
+        if (this.useCustomLogic) {
+            steps = this.customLogicError ? [] : [this.getQueryCondition()];
+        } else {
+            steps = this.conditions.map((c, index) => this._joinConditions(this.conditions.slice(0, index + 1)));
+        }
+        if (steps.length === 0) {
+            // A count still in flight is now stale and won't clear the flag itself
+            this.liveCounts = [];
+            this.liveTotal = null;
+            this.isCounting = false;
+            return;
+        }
+
+        const request = this._liveCountRequest;
+        this.isCounting = true;
+
+        try {
+            const result = await countConditionMatches({
+                objectName: this.objectApiName,
+                conditions: steps
+            });
+            if (request !== this._liveCountRequest) return;
+            this.liveCounts = this.useCustomLogic ? [] : result;
+            this.liveTotal = result[result.length - 1];
+        } catch (error) {
+            if (request !== this._liveCountRequest) return;
+            this.liveCounts = [];
+            this.liveTotal = { errorMessage: error.body?.message || error.message };
+        }
+
+        this.isCounting = false;
+    }
+
+    _formatLiveCount(liveCount) {
+        if (!liveCount || liveCount.errorMessage || liveCount.count === null || liveCount.count === undefined) {
+            return '';
+        }
+        if (liveCount.isCapped) {
+            return `Over ${LIVE_COUNT_CAP.toLocaleString()}`;
+        }
+        return liveCount.count.toLocaleString();
+    }
+
+    // Parse a SOQL condition string back into individual visual condition rows.
+    // Parenthesized groups and NOT become custom logic such as "1 AND (2 OR 3)".
     parseInitialCondition() {
         if (!this.initialCondition) return;
 
         const rawCondition = this.initialCondition.trim();
+        const parsedConditions = [];
+        let logic = null;
 
-        // Split into individual condition fragments on top-level AND/OR
-        const fragments = this._splitConditionFragments(rawCondition);
+        try {
+            logic = this._parseLogicExpression(rawCondition, parsedConditions);
+        } catch (e) {
+            logic = null;
+        }
 
-        const parsedConditions = [];
-        let hasFailure = false;
+        // All-or-nothing: if any fragment fails, fall back to raw display
+        if (logic === null || parsedConditions.length === 0) {
+            this._fallbackToRawCondition(rawCondition);
+            return;
+        }
+
+        parsedConditions.forEach((c, index) => {
+            c.id = Date.now() + index;
+        });
+
+        const tokens = this._tokenizeLogic(logic);
+        if (this._isFlatLogic(tokens, parsedConditions.length)) {
+            parsedConditions.forEach((c, index) => {
+                c.logic = index === 0 ? '' : tokens[index * 2 - 1];
+            });
+            this.useCustomLogic = false;
+            this.customLogic = '';
+        } else {
+            this.useCustomLogic = true;
+            this.customLogic = logic;
+        }
+        this.customLogicError = '';
+        this.conditions = parsedConditions;
+        this._scheduleLiveCount();
+    }
+
+    // Parse a condition expression into numbered conditions (appended to `conditions`) and
+    // return its logic string, or null when part of it can't be shown as visual conditions.
+    // Each condition keeps its original SOQL text so the query is written back unchanged.
+    _parseLogicExpression(expression, conditions) {
+        const fragments = this._splitConditionFragments(expression);
+        if (fragments.length === 0) {
+            return null;
+        }
 
+        const parts = [];
         for (const fragment of fragments) {
-            try {
-                const parsed = this._parseSingleCondition(fragment.condition);
-                if (parsed) {
-                    parsed.logic = fragment.logic;
-                    parsed.id = Date.now() + parsedConditions.length;
-                    parsedConditions.push(parsed);
+            let text = fragment.condition;
+            let prefix = '';
+
+            const notMatch = text.match(/^NOT(\s+|(?=\())/i);
+            if (notMatch) {
+                prefix = 'NOT ';
+                text = text.substring(notMatch[0].length).trim();
+            }
+
+            let term;
+            if (this._isWrappedGroup(text)) {
+                const inner = this._parseLogicExpression(text.slice(1, -1).trim(), conditions);
+                if (inner === null) {
+                    return null;
+                }
+                if (/^\d+$/.test(inner)) {
+                    // Redundant parentheses around a single condition stay part of its text
+                    conditions[conditions.length - 1].conditionString = text;
+                    term = inner;
                 } else {
-                    hasFailure = true;
-                    break;
+                    term = `(${inner})`;
                 }
-            } catch (e) {
-                hasFailure = true;
-                break;
+            } else {
+                const parsed = this._parseSingleCondition(text);
+                if (!parsed) {
+                    return null;
+                }
+                parsed.conditionString = text;
+                conditions.push(parsed);
+                term = String(conditions.length);
             }
+
+            parts.push(fragment.logic ? `${fragment.logic} ${prefix}${term}` : `${prefix}${term}`);
         }
 
-        // All-or-nothing: if any fragment fails, fall back to raw display
-        if (hasFailure || parsedConditions.length === 0) {
-            this._fallbackToRawCondition(rawCondition);
-        } else {
-            this.conditions = parsedConditions;
+        return parts.join(' ');
+    }
+
+    // Check if a string is fully wrapped in one pair of parentheses, e.g. "(A OR B)" but not "(A) OR (B)"
+    _isWrappedGroup(str) {
+        if (!str.startsWith('(') || !str.endsWith(')')) {
+            return false;
+        }
+        let depth = 0;
+        let inQuote = false;
+        for (let i = 0; i < str.length; i++) {
+            const c = str[i];
+            if (c === "'") { inQuote = !inQuote; continue; }
+            if (inQuote) continue;
+            if (c === '(') depth++;
+            if (c === ')') {
+                depth--;
+                if (depth === 0) {
+                    return i === str.length - 1;
+                }
+            }
+        }
+        return false;
+    }
+
+    // Split custom logic into upper-case tokens, or return null if it contains anything else
+    _tokenizeLogic(logic) {
+        const tokens = (logic || '')
+            .toUpperCase()
+            .replace(/\(/g, ' ( ')
+            .replace(/\)/g, ' ) ')
+            .trim()
+            .split(/\s+/)
+            .filter(t => t);
+        return tokens.every(t => LOGIC_TOKEN.test(t)) ? tokens : null;
+    }
+
+    // Check if logic tokens are just "1 AND 2 OR 3 ..." in order, which per-row logic can express
+    _isFlatLogic(tokens, conditionCount) {
+        if (!tokens || tokens.length !== conditionCount * 2 - 1) {
+            return false;
+        }
+        return tokens.every((t, index) => (index % 2 === 0
+            ? t === String(index / 2 + 1)
+            : t === 'AND' || t === 'OR'));
+    }
+
+    // Validate custom logic against the current conditions; returns an error message or ''
+    _validateCustomLogic(logic) {
+        const tokens = this._tokenizeLogic(logic);
+        if (!tokens) {
+            return 'Use only condition numbers, AND, OR, NOT and parentheses.';
+        }
+        if (tokens.length === 0) {
+            return 'Enter the condition logic, e.g. 1 AND (2 OR 3).';
+        }
+
+        // Operator used at each parenthesis depth; SOQL needs parentheses to mix AND and OR
+        const levels = [null];
+        const used = new Set();
+        let expectCondition = true;
+
+        for (const token of tokens) {
+            if (/^\d+$/.test(token)) {
+                const number = parseInt(token, 10);
+                if (!expectCondition) {
+                    return `Add AND or OR before condition ${token}.`;
+                }
+                if (number < 1 || number > this.conditions.length) {
+                    return `Condition ${token} does not exist.`;
+                }
+                used.add(number);
+                expectCondition = false;
+            } else if (token === '(' || token === 'NOT') {
+                if (!expectCondition) {
+                    return `Add AND or OR before ${token === 'NOT' ? 'NOT' : 'the parenthesis'}.`;
+                }
+                if (token === '(') {
+                    levels.push(null);
+                }
+            } else if (token === ')') {
+                if (expectCondition || levels.length === 1) {
+                    return 'Check the parentheses in the condition logic.';
+                }
+                levels.pop();
+            } else {
+                if (expectCondition) {
+                    return `${token} must be between two conditions.`;
+                }
+                const levelOperator = levels[levels.length - 1];
+                if (levelOperator && levelOperator !== token) {
+                    return 'Use parentheses when mixing AND and OR, e.g. 1 AND (2 OR 3).';
+                }
+                levels[levels.length - 1] = token;
+                expectCondition = true;
+            }
+        }
+
+        if (expectCondition || levels.length > 1) {
+            return 'The condition logic is incomplete. Check its operators and parentheses.';
+        }
+
+        for (let number = 1; number <= this.conditions.length; number++) {
+            if (!used.has(number)) {
+                return `Condition ${number} is not used in the condition logic.`;
+            }
+        }
+
+        return '';
+    }
+
+    // Remove a condition number from custom logic and renumber the conditions after it
+    _removeFromCustomLogic(logic, removedNumber) {
+        let tokens = this._tokenizeLogic(logic);
+        if (!tokens) {
+            return logic;
         }
+
+        tokens = tokens.filter(t => t !== String(removedNumber));
+
+        // Drop operators and parentheses left dangling by the removal until nothing changes
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const cleaned = [];
+            for (let i = 0; i < tokens.length; i++) {
+                const token = tokens[i];
+                const prev = cleaned[cleaned.length - 1];
+                const next = tokens[i + 1];
+                const isOperator = token === 'AND' || token === 'OR';
+                if (token === '(' && next === ')') {
+                    i++;
+                    changed = true;
+                } else if (isOperator && (prev === undefined || prev === '(' || prev === 'AND' || prev === 'OR' || prev === 'NOT')) {
+                    changed = true;
+                } else if ((isOperator || token === 'NOT') && (next === undefined || next === ')' || next === 'AND' || next === 'OR')) {
+                    changed = true;
+                } else {
+                    cleaned.push(token);
+                }
+            }
+            tokens = cleaned;
+        }
+
+        return this._joinLogicTokens(tokens.map(t => {
+            const number = parseInt(t, 10);
+            return !isNaN(number) && number > removedNumber ? String(number - 1) : t;
+        }));
+    }
+
+    // Join tokens with single spaces, keeping parentheses tight: "1 AND (2 OR 3)"
+    _joinLogicTokens(tokens) {
+        return tokens.reduce((result, token, index) => {
+            if (index === 0 || token === ')' || tokens[index - 1] === '(') {
+                return result + token;
+            }
+            return `${result} ${token}`;
+        }, '');
+    }
+
+    // Build the WHERE clause by substituting each condition's SOQL for its number
+    _applyCustomLogic() {
+        const tokens = this._tokenizeLogic(this.customLogic);
+        if (!tokens) {
+            // Let query validation report the invalid logic
+            return this.customLogic;
+        }
+
+        return this._joinLogicTokens(tokens.map(t => {
+            if (/^\d+$/.test(t)) {
+                const condition = this.conditions[parseInt(t, 10) - 1];
+                return condition ? condition.conditionString : t;
+            }
+            return t;
+        }));
     }
 
     // Split a condition string on top-level AND/OR (not inside parens or quotes)
@@ -725,13 +1420,17 @@ export default class QueryConditionBuilder extends LightningElement {
             return null;
         }
 
+        // Related records: Id [NOT] IN (SELECT lookupField FROM ChildObject [WHERE filter])
+        let match = condition.match(/^Id\s+(NOT\s+)?IN\s*\(\s*SELECT\s+(\w+)\s+FROM\s+(\w+)(?:\s+WHERE\s+([\s\S]+?))?\s*\)$/i);
+        if (match) {
+            return this._buildRelatedConditionObj(match[3], match[2], !!match[1], match[4] ? match[4].trim() : '');
+        }
+
         // If it contains SOQL functions like DAY_IN_WEEK(), we can't parse it
         if (/\w+\(/.test(condition) && !/LIKE|IN|NOT/.test(condition.split('(')[0].trim().split(/\s+/).pop())) {
             return null;
         }
 
-        let match;
-
         // Pattern 1: field = null
         match = condition.match(/^(\S+)\s*=\s*null$/i);
         if (match) {
@@ -774,13 +1473,13 @@ export default class QueryConditionBuilder extends LightningElement {
             return this._buildConditionObj(match[1], match[2], match[3], match[3]);
         }
 
-        // Pattern 8: field op DATE_LITERAL:N (e.g., LAST_N_DAYS:30)
-        match = condition.match(/^(\S+)\s*(=|!=|>=?|<=?)\s+(LAST_N_DAYS|NEXT_N_DAYS|LAST_N_MONTHS|NEXT_N_MONTHS|LAST_N_WEEKS|NEXT_N_WEEKS):(\d+)$/i);
+        // Pattern 8: field op DATE_LITERAL:N (e.g., LAST_N_DAYS:30 or LAST_N_DAYS:{!Stale_Case_Threshold})
+        match = condition.match(/^(\S+)\s*(=|!=|>=?|<=?)\s+(LAST_N_DAYS|NEXT_N_DAYS|LAST_N_MONTHS|NEXT_N_MONTHS|LAST_N_WEEKS|NEXT_N_WEEKS):(\d+|\{!\w+\})$/i);
         if (match) {
             const dateLiteral = match[3].toUpperCase();
             const dateN = match[4];
-            const displayValue = `${dateLiteral}:${dateN}`;
-            return this._buildConditionObj(match[1], match[2], displayValue, displayValue, dateLiteral, dateN);
+            const value = `${dateLiteral}:${dateN}`;
+            return this._buildConditionObj(match[1], match[2], value, this._describeThresholdTokens(value), dateLiteral, dateN);
         }
 
         // Pattern 9: field op DATE_LITERAL (e.g., TODAY, LAST_MONTH)
@@ -800,10 +1499,10 @@ export default class QueryConditionBuilder extends LightningElement {
             return this._buildConditionObj(match[1], match[2], literal, literal, literal, '');
         }
 
-        // Pattern 10: field op unquoted value (number/boolean)
+        // Pattern 10: field op unquoted value (number/boolean/threshold token)
         match = condition.match(/^(\S+)\s*(=|!=|>=?|<=?)\s+(\S+)$/);
         if (match) {
-            return this._buildConditionObj(match[1], match[2], match[3], match[3]);
+            return this._buildConditionObj(match[1], match[2], match[3], this._describeThresholdTokens(match[3]));
         }
 
         // No pattern matched
@@ -812,8 +1511,8 @@ export default class QueryConditionBuilder extends LightningElement {
 
     // Build a structured condition object from parsed parts
     _buildConditionObj(fieldApiName, operator, value, displayValue, dateLiteral, dateN) {
-        const field = this.fields.find(f => f.value.toLowerCase() === fieldApiName.toLowerCase());
-        const fieldLabel = field ? field.label : fieldApiName;
+        const field = this._findField(fieldApiName);
+        const fieldLabel = field ? this._fieldDisplayLabel(field) : fieldApiName;
         const fieldType = field ? this.normalizeFieldType(field.dataType) : 'STRING';
 
         // Look up operator label
@@ -844,6 +1543,34 @@ export default class QueryConditionBuilder extends LightningElement {
         };
     }
 
+    // Show threshold tokens by their setting, e.g. "LAST_N_DAYS:Stale Case Threshold (Days) (30)"
+    _describeThresholdTokens(value) {
+        return value.replace(THRESHOLD_TOKEN, (token, name) => {
+            const setting = this.thresholdTokens.find(t => t.name.toLowerCase() === name.toLowerCase());
+            return setting ? `${setting.label} (${setting.value})` : token;
+        });
+    }
+
+    // Build a related-records condition as a semi-join on the child relationship's lookup field
+    _buildRelatedConditionObj(childObject, childField, isNegated, childFilter) {
+        const relationship = this.childRelationships.find(
+            r => r.value.toLowerCase() === `${childObject}.${childField}`.toLowerCase()
+        );
+        const where = childFilter ? ` WHERE ${childFilter}` : '';
+
+        return {
+            id: 0,
+            field: 'Id',
+            fieldLabel: relationship ? relationship.label : `${childObject} (${childField})`,
+            operator: isNegated ? 'NOT_EXISTS' : 'EXISTS',
+            operatorLabel: isNegated ? 'none exist' : 'at least one exists',
+            value: childFilter ? `where ${childFilter}` : '',
+            logic: '',
+            isRelated: true,
+            conditionString: `Id ${isNegated ? 'NOT IN' : 'IN'} (SELECT ${relationship ? relationship.childField : childField} FROM ${relationship ? relationship.childObject : childObject}${where})`
+        };
+    }
+
     // Reconstruct a SOQL condition string from parsed parts (mirrors buildConditionString)
     _reconstructConditionString(field, op, value, fieldType, dateLiteral, dateN) {
         if (op === 'IS_NULL') return `${field} = null`;
@@ -899,6 +1626,7 @@ export default class QueryConditionBuilder extends LightningElement {
             conditionString: rawCondition,
             isRawFallback: true
         }];
+        this._scheduleLiveCount();
     }
 
     // Fire change event to parent
@@ -908,11 +1636,19 @@ export default class QueryConditionBuilder extends LightningElement {
                 condition: this.getQueryCondition()
             }
         }));
+        this._scheduleLiveCount();
     }
 
     // Validate the query
     @api
     async validate() {
+        if (this.useCustomLogic && this.conditions.length > 0) {
+            this.customLogicError = this._validateCustomLogic(this.customLogic);
+            if (this.customLogicError) {
+                return { isValid: false, errorMessage: this.customLogicError };
+            }
+        }
+
         const condition = this.getQueryCondition();
 
         if (!condition) {
@@ -946,6 +1682,10 @@ export default class QueryConditionBuilder extends LightningElement {
     @api
     clear() {
         this.conditions = [];
+        this.useCustomLogic = false;
+        this.customLogic = '';
+        this.customLogicError = '';
+        this.customLogicToggleError = '';
         this.resetCurrentCondition();
         this.validationError = '';
         this.fireChange();
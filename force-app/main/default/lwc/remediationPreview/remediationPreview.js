@@ -2,11 +2,24 @@ import { LightningElement, api, track } from 'lwc';
 import { ShowToastEvent } from 'lightning/platformShowToastEvent';
 
 // Apex Controllers
-import getPatternMatches from '@salesforce/apex/PatternAnalysisService.getPatternMatches';
+import getPatternMatchesWithColumns from '@salesforce/apex/PatternAnalysisService.getPatternMatchesWithColumns';
+import getPreviewColumns from '@salesforce/apex/PatternAnalysisService.getPreviewColumns';
 import syncPainPointOccurrences from '@salesforce/apex/PatternAnalysisService.syncPainPointOccurrences';
 import runAutoFix from '@salesforce/apex/WorkflowAnalyticsController.runAutoFix';
+import previewAutoFix from '@salesforce/apex/WorkflowAnalyticsController.previewAutoFix';
+import startFixAll from '@salesforce/apex/WorkflowAnalyticsController.startFixAll';
+import getFixJobStatus from '@salesforce/apex/WorkflowAnalyticsController.getFixJobStatus';
 import getFixConfig from '@salesforce/apex/WorkflowAnalyticsController.getFixConfig';
-import getRecordsByIds from '@salesforce/apex/WorkflowAnalyticsController.getRecordsByIds';
+import getRecordsByIdsWithColumns from '@salesforce/apex/WorkflowAnalyticsController.getRecordsByIdsWithColumns';
+import getObjectFields from '@salesforce/apex/PatternRuleManagerController.getObjectFields';
+import getFixRuns from '@salesforce/apex/FixRollbackService.getFixRuns';
+import rollbackFixedRecords from '@salesforce/apex/FixRollbackService.rollbackFixedRecords';
+import rollbackFixRun from '@salesforce/apex/FixRollbackService.rollbackFixRun';
+import getApprovalPolicy from '@salesforce/apex/FixApprovalService.getApprovalPolicy';
+import submitFixRequest from '@salesforce/apex/FixApprovalService.submitFixRequest';
+
+// How often a running Fix All job is polled for progress
+const FIX_JOB_POLL_MS = 3000;
 
 // Column definitions per object type
 const COLUMN_CONFIG = {
@@ -67,6 +80,44 @@ const COLUMN_CONFIG = {
     ]
 };
 
+// Schema.DisplayType -> lightning-datatable column type for configured columns (anything else is text)
+const DATATABLE_TYPES = {
+    BOOLEAN: 'boolean',
+    CURRENCY: 'currency',
+    DATE: 'date-local',
+    DATETIME: 'date',
+    DOUBLE: 'number',
+    EMAIL: 'email',
+    INTEGER: 'number',
+    LONG: 'number',
+    PERCENT: 'number',
+    PHONE: 'phone',
+    URL: 'url'
+};
+
+const MAX_COLUMNS = 15; // Matches PatternAnalysisService.MAX_PREVIEW_COLUMNS
+
+// Before/after table shown in the confirmation dialog (PatternFixService.FieldChange rows)
+const DRY_RUN_COLUMNS = [
+    { label: 'Record', fieldName: 'recordName', type: 'text', wrapText: true },
+    { label: 'Field', fieldName: 'fieldLabel', type: 'text' },
+    { label: 'Current Value', fieldName: 'currentDisplay', type: 'text', wrapText: true },
+    {
+        label: 'New Value', fieldName: 'newDisplay', type: 'text', wrapText: true,
+        cellAttributes: { class: { fieldName: 'newValueClass' } }
+    }
+];
+
+function toDatatableColumn({ label, fieldName, dataType }) {
+    const column = { label, fieldName, type: DATATABLE_TYPES[dataType] || 'text', sortable: true };
+    if (dataType === 'DATETIME') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+    } else if (dataType === 'DATE') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit' };
+    }
+    return column;
+}
+
 export default class RemediationPreview extends LightningElement {
     // Public API properties
     @api ruleDeveloperName;
@@ -89,12 +140,53 @@ export default class RemediationPreview extends LightningElement {
     @track isFixing = false;
     @track hasCompletedFix = false; // Track if user has completed at least one fix in this session
 
+    // Failed tab state - records the last fix could not be applied to, with the logged error
+    @track failedRecords = [];
+    @track _selectedFailedIds = [];
+    activeTab = 'pending';
+
     // Confirmation dialog state
     @track showConfirmation = false;
     @track dontShowAgain = false;
     @track fixConfigInfo = null; // Metadata-driven fix configuration
     static CONFIRMATION_SKIP_KEY = 'behavioriq_skip_fix_confirmation';
 
+    // Approval policy - large or sensitive fixes are submitted to the Fix Approvals queue instead of run
+    approvalPolicy = null;
+
+    // Dry run state - before/after values in the confirmation dialog
+    dryRunColumns = DRY_RUN_COLUMNS;
+    @track dryRunChanges = [];
+    @track dryRunExcludedIds = []; // Records the reviewer deselected in the dialog
+    dryRunMessage = null;
+    isLoadingDryRun = false;
+
+    // Fix All state - background run over every matching record; survives closing the modal
+    static FIX_JOB_KEY = 'behavioriq_fix_job_';
+    @track fixJob = null; // FixJobStatus from the server plus the totalCount captured at start
+    showFixAllConfirmation = false;
+    isStartingFixAll = false;
+    _fixJobTimeout;
+
+    // Column state - rule config (Preview_Columns__c) with per-user runtime overrides
+    static COLUMN_PREFERENCE_KEY = 'behavioriq_preview_columns_';
+    @track configuredColumns = []; // From the rule; empty means built-in COLUMN_CONFIG
+    @track columnOptions = []; // All readable fields on the object, loaded on demand
+    @track pendingColumnFields = [];
+    @track showColumnPicker = false;
+    _columnFields = null; // User's runtime column choice; null follows the rule
+    _fieldDescribes = {};
+    isLoadingColumnOptions = false;
+
+    // Rollback state (Fixed records view)
+    @track fixRuns = [];
+    @track _selectedFixedIds = [];
+    @track rollbackResult = null;
+    @track showRollbackConfirmation = false;
+    selectedRunId = '';
+    rollbackTarget = null; // 'records' or 'run' while the confirmation is open
+    isRollingBack = false;
+
     // Getter/setter for selected rows to ensure proper reactivity
     get selectedRows() {
         return this._selectedRowIds;
@@ -109,17 +201,19 @@ export default class RemediationPreview extends LightningElement {
 
     // Lifecycle hooks
     connectedCallback() {
-        // Set columns first
+        // Built-in columns until the rule's column config arrives
         this.columns = this.getColumnsForObject(this.objectApiName);
 
         if (this.readOnly) {
             // Read-only mode: load fixed records directly by IDs
             // Don't use getPatternMatches since the records no longer match the pattern
-            this.loadFixedRecordsDirectly();
+            this.loadColumnConfig().then(() => this.loadFixedRecordsDirectly());
         } else if (this.ruleDeveloperName) {
             // Edit mode: load pending records via pattern matching
-            this.loadRecords();
+            this.loadColumnConfig().then(() => this.loadRecords());
             this.loadFixConfig();
+            this.loadApprovalPolicy();
+            this.resumeFixJob();
         } else {
             this.isLoading = false;
             this.error = 'No pattern rule specified.';
@@ -141,14 +235,40 @@ export default class RemediationPreview extends LightningElement {
             });
     }
 
+    // Load the org approval policy for this rule; without it fixes run directly and the server still enforces it
+    loadApprovalPolicy() {
+        getApprovalPolicy({ ruleDeveloperName: this.ruleDeveloperName })
+            .then(result => {
+                this.approvalPolicy = result;
+            })
+            .catch(err => {
+                console.warn('Could not load approval policy:', err);
+            });
+    }
+
     disconnectedCallback() {
         if (this._handleKeyDown) {
             window.removeEventListener('keydown', this._handleKeyDown);
         }
+        // The job keeps running server-side; reopening the preview picks it up again
+        clearTimeout(this._fixJobTimeout);
     }
 
     handleKeyDown(event) {
         if (event.key === 'Escape' || event.keyCode === 27) {
+            // Close the column picker on its own rather than the whole preview
+            if (this.showColumnPicker) {
+                this.showColumnPicker = false;
+                return;
+            }
+            if (this.showConfirmation) {
+                this.handleConfirmationCancel();
+                return;
+            }
+            if (this.showFixAllConfirmation) {
+                this.handleFixAllCancel();
+                return;
+            }
             this.handleCancel();
         }
     }
@@ -201,19 +321,107 @@ export default class RemediationPreview extends LightningElement {
     }
 
     get fixButtonLabel() {
-        return `Fix ${this.selectedCount} Record${this.selectedCount !== 1 ? 's' : ''}`;
+        const records = `${this.selectedCount} Record${this.selectedCount !== 1 ? 's' : ''}`;
+        return this.requiresApproval(this.selectedCount) ? `Submit ${records} for Approval` : `Fix ${records}`;
     }
 
     get fixButtonDisabled() {
-        return !this.hasSelection || this.isFixing;
+        return !this.hasSelection || this.isFixing || this.isFixJobRunning;
+    }
+
+    // Rollback is offered when viewing the fixed records of a known pain point
+    get canRollBack() {
+        return this.readOnly && !!this.fixedAtTimestamp && !!this.painPointId;
+    }
+
+    get hideFixedCheckboxes() {
+        return !this.canRollBack;
+    }
+
+    get hasFixRuns() {
+        return this.fixRuns.length > 0;
+    }
+
+    get fixRunOptions() {
+        return this.fixRuns.map(run => ({
+            label: `${this.formatFixedAtTimestamp(run.executedAt)} - ${run.recordCount} record(s)` +
+                (run.executedBy ? ` - ${run.executedBy}` : ''),
+            value: run.runId
+        }));
+    }
+
+    get selectedFixedCount() {
+        return this._selectedFixedIds.length;
+    }
+
+    get rollbackSelectedLabel() {
+        return `Roll Back ${this.selectedFixedCount} Record${this.selectedFixedCount !== 1 ? 's' : ''}`;
+    }
+
+    get rollbackSelectedDisabled() {
+        return this.selectedFixedCount === 0 || this.isRollingBack;
+    }
+
+    get rollbackRunDisabled() {
+        return !this.selectedRunId || this.isRollingBack;
+    }
+
+    get rollbackConfirmationMessage() {
+        if (this.rollbackTarget === 'run') {
+            const run = this.fixRuns.find(r => r.runId === this.selectedRunId);
+            const count = run ? run.recordCount : 0;
+            return `Every change made by this fix run will be reverted on ${count} record(s).`;
+        }
+        return `The most recent fix will be reverted on ${this.selectedFixedCount} selected record(s).`;
+    }
+
+    get hasRollbackIssues() {
+        return this.rollbackIssues.length > 0;
+    }
+
+    // Actions that could not be reverted, for the result panel
+    get rollbackIssues() {
+        if (!this.rollbackResult) {
+            return [];
+        }
+        return this.rollbackResult.items
+            .filter(item => item.status !== 'Rolled_Back')
+            .map(item => ({
+                ...item,
+                actionLabel: (item.action || '').replace(/_/g, ' '),
+                iconName: item.status === 'Failed' ? 'utility:error' : 'utility:info',
+                iconVariant: item.status === 'Failed' ? 'error' : ''
+            }));
+    }
+
+    get rollbackSummary() {
+        const r = this.rollbackResult;
+        if (!r) {
+            return '';
+        }
+        let summary = `Rolled back ${r.rolledBackCount} change(s) on ${r.revertedRecordIds.length} record(s).`;
+        if (r.failedCount > 0) {
+            summary += ` ${r.failedCount} could not be reverted.`;
+        }
+        if (r.skippedCount > 0) {
+            summary += ` ${r.skippedCount} cannot be undone (emails, posts or custom actions).`;
+        }
+        if (r.isTruncated) {
+            summary += ' Some changes were not processed - run the rollback again to continue.';
+        }
+        return summary;
+    }
+
+    get rollbackAlertClass() {
+        const variant = this.rollbackResult && this.rollbackResult.failedCount > 0 ? 'slds-theme_warning' : 'slds-theme_success';
+        return `slds-notify slds-notify_alert slds-alert_texture slds-m-bottom_medium ${variant}`;
     }
 
     // Columns for fixed records include a "Fixed At" column
     get fixedColumns() {
-        const baseColumns = this.getColumnsForObject(this.objectApiName);
         // Add Fixed At column for tracking when records were fixed
         return [
-            ...baseColumns,
+            ...this.columns,
             { label: 'Fixed At', fieldName: 'fixedAt', type: 'text', sortable: true }
         ];
     }
@@ -238,12 +446,13 @@ export default class RemediationPreview extends LightningElement {
     get allCaughtUp() {
         // Only show "All Caught Up" if user has completed at least one fix in this session
         // This prevents the confusing "Inbox Zero" message when records simply don't load
-        return !this.isLoading && !this.error && this.pendingCount === 0 && this.hasCompletedFix;
+        return !this.isLoading && !this.error && this.pendingCount === 0 && this.hasCompletedFix && !this.hasFailedRecords;
     }
 
     // Check if no records were found (initial load returned empty without any fix being performed)
     get noRecordsFound() {
-        return !this.isLoading && !this.error && this.pendingCount === 0 && !this.hasCompletedFix && !this.readOnly;
+        return !this.isLoading && !this.error && this.pendingCount === 0 && !this.hasCompletedFix && !this.readOnly
+            && !this.hasFailedRecords;
     }
 
     get confirmationMessage() {
@@ -372,11 +581,12 @@ export default class RemediationPreview extends LightningElement {
             excludeIds = this.fixedRecordIds;
         }
 
-        getPatternMatches({
+        return getPatternMatchesWithColumns({
             ruleDeveloperName: this.ruleDeveloperName,
             limitCount: 200,
             includeOnlyRecordIds: '', // Don't use whitelist - query all matching records
-            excludeRecordIds: excludeIds // Exclude already-fixed records
+            excludeRecordIds: excludeIds, // Exclude already-fixed records
+            columnFields: this.activeColumnFields || []
         })
         .then(result => {
             let records = result || [];
@@ -396,7 +606,7 @@ export default class RemediationPreview extends LightningElement {
                 }));
             }
 
-            this.columns = this.getColumnsForObject(this.objectApiName);
+            this.columns = this.buildColumns();
 
             // In read-only mode (viewing completed/fixed records), load into fixedRecords
             // and switch to the fixed tab
@@ -432,6 +642,159 @@ export default class RemediationPreview extends LightningElement {
         return COLUMN_CONFIG[objectName] || COLUMN_CONFIG.Default;
     }
 
+    // --- Columns ---
+
+    // Field names shown in the table, or null to use the built-in columns for the object
+    get activeColumnFields() {
+        if (this._columnFields) {
+            return this._columnFields;
+        }
+        return this.configuredColumns.length ? this.configuredColumns.map(c => c.fieldName) : null;
+    }
+
+    get resetColumnsDisabled() {
+        return this._columnFields === null;
+    }
+
+    get maxColumns() {
+        return MAX_COLUMNS;
+    }
+
+    get columnPreferenceKey() {
+        return RemediationPreview.COLUMN_PREFERENCE_KEY + (this.ruleDeveloperName || this.objectApiName);
+    }
+
+    buildColumns() {
+        const fields = this.activeColumnFields;
+        if (!fields) {
+            return this.getColumnsForObject(this.objectApiName);
+        }
+        return fields.map(fieldName =>
+            toDatatableColumn(this._fieldDescribes[fieldName] || { label: fieldName, fieldName })
+        );
+    }
+
+    // Loads the rule's configured columns (and field describes for a saved runtime choice).
+    // Never rejects - the preview falls back to the built-in columns.
+    loadColumnConfig() {
+        this._columnFields = this.readColumnPreference();
+
+        const requests = [
+            this.ruleDeveloperName ? getPreviewColumns({ ruleDeveloperName: this.ruleDeveloperName }) : Promise.resolve([])
+        ];
+        if (this._columnFields) {
+            requests.push(this.loadColumnOptions());
+        }
+
+        return Promise.all(requests)
+            .then(([configured]) => {
+                this.configuredColumns = configured || [];
+                this.configuredColumns.forEach(c => {
+                    this._fieldDescribes[c.fieldName] = c;
+                });
+            })
+            .catch(err => {
+                console.warn('Could not load preview columns:', err);
+                this.configuredColumns = [];
+            })
+            .finally(() => {
+                this.columns = this.buildColumns();
+            });
+    }
+
+    loadColumnOptions() {
+        if (this.columnOptions.length || !this.objectApiName) {
+            return Promise.resolve();
+        }
+        this.isLoadingColumnOptions = true;
+        return getObjectFields({ objectName: this.objectApiName })
+            .then(result => {
+                this.columnOptions = (result || []).map(f => ({ label: f.label, value: f.value }));
+                (result || []).forEach(f => {
+                    this._fieldDescribes[f.value] = { label: f.label, fieldName: f.value, dataType: f.dataType };
+                });
+            })
+            .finally(() => {
+                this.isLoadingColumnOptions = false;
+            });
+    }
+
+    readColumnPreference() {
+        try {
+            const stored = localStorage.getItem(this.columnPreferenceKey);
+            const fields = stored ? JSON.parse(stored) : null;
+            return Array.isArray(fields) && fields.length ? fields : null;
+        } catch (e) {
+            // localStorage might be unavailable or hold a stale value
+            return null;
+        }
+    }
+
+    writeColumnPreference(fields) {
+        try {
+            if (fields) {
+                localStorage.setItem(this.columnPreferenceKey, JSON.stringify(fields));
+            } else {
+                localStorage.removeItem(this.columnPreferenceKey);
+            }
+        } catch (e) {
+            console.warn('Could not save column preference to localStorage:', e);
+        }
+    }
+
+    handleColumnsClick() {
+        const optionValues = new Set();
+        this.loadColumnOptions()
+            .then(() => {
+                this.columnOptions.forEach(o => optionValues.add(o.value));
+                // Built-in columns include display-only fields (e.g. ProbabilityDisplay) that can't be re-picked
+                this.pendingColumnFields = this.columns
+                    .map(c => c.fieldName)
+                    .filter(fieldName => optionValues.has(fieldName));
+                this.showColumnPicker = true;
+            })
+            .catch(err => {
+                this.showToast('Error', err?.body?.message || 'Unable to load fields.', 'error');
+            });
+    }
+
+    handleColumnFieldsChange(event) {
+        this.pendingColumnFields = event.detail.value;
+    }
+
+    handleColumnPickerCancel() {
+        this.showColumnPicker = false;
+    }
+
+    handleColumnPickerReset() {
+        this.applyColumns(null);
+    }
+
+    handleColumnPickerApply() {
+        if (!this.pendingColumnFields.length) {
+            this.showToast('Select Columns', 'Choose at least one column to show.', 'warning');
+            return;
+        }
+        this.applyColumns([...this.pendingColumnFields]);
+    }
+
+    applyColumns(fields) {
+        this.showColumnPicker = false;
+        this._columnFields = fields;
+        this.writeColumnPreference(fields);
+        this.columns = this.buildColumns();
+
+        // Re-query so newly added columns have data, keeping the user's selection
+        if (this.readOnly) {
+            this.loadFixedRecordsDirectly();
+        } else {
+            const previousSelection = new Set(this._selectedRowIds);
+            this.loadRecords().then(() => {
+                this._selectedRowIds = this.pendingRecords.map(r => r.Id).filter(id => previousSelection.has(id));
+            });
+        }
+    }
+
     // Load fixed records directly by ID for read-only mode (completed pain points)
     loadFixedRecordsDirectly() {
         this.isLoading = true;
@@ -446,9 +809,10 @@ export default class RemediationPreview extends LightningElement {
             return;
         }
 
-        getRecordsByIds({
+        getRecordsByIdsWithColumns({
             objectApiName: this.objectApiName,
-            recordIds: recordIdsToLoad
+            recordIds: recordIdsToLoad,
+            columnFields: this.activeColumnFields || []
         })
         .then(result => {
             if (result && result.length > 0) {
@@ -470,6 +834,10 @@ export default class RemediationPreview extends LightningElement {
             }
             this.pendingRecords = [];
             this._selectedRowIds = [];
+
+            if (this.canRollBack) {
+                this.loadFixRuns();
+            }
         })
         .catch(err => {
             this.error = err?.body?.message || 'Unable to load fixed records.';
@@ -481,6 +849,21 @@ export default class RemediationPreview extends LightningElement {
         });
     }
 
+    loadFixRuns() {
+        getFixRuns({ painPointId: this.painPointId })
+            .then(result => {
+                this.fixRuns = result || [];
+                if (!this.fixRuns.some(run => run.runId === this.selectedRunId)) {
+                    this.selectedRunId = this.fixRuns.length ? this.fixRuns[0].runId : '';
+                }
+            })
+            .catch(err => {
+                // Non-fatal - per-record rollback still works without the run list
+                console.warn('Could not load fix runs:', err);
+                this.fixRuns = [];
+            });
+    }
+
     // Format a timestamp for display in the Fixed At column
     formatFixedAtTimestamp(timestamp) {
         if (!timestamp) {
@@ -554,12 +937,135 @@ export default class RemediationPreview extends LightningElement {
             return;
         }
 
-        // Skip confirmation if user previously checked "Don't show again"
-        if (this.shouldSkipConfirmation) {
+        // Skip confirmation if user previously checked "Don't show again" - never for fixes that need approval
+        if (this.shouldSkipConfirmation && !this.requiresApproval(this.selectedCount)) {
             this.handleConfirmFix();
         } else {
             this.showConfirmation = true;
+            this.loadDryRun();
+        }
+    }
+
+    // Use ruleDeveloperName for PatternFixService - this is the metadata key that defines the fix logic
+    // Falls back to fixType or object-based mapping for backward compatibility
+    get effectiveFixType() {
+        return this.ruleDeveloperName || this.fixType || this.mapObjectToFixType(this.objectApiName);
+    }
+
+    // --- Dry Run ---
+
+    // Loads current vs. new values for the selected records without changing anything
+    loadDryRun() {
+        this.dryRunChanges = [];
+        this.dryRunExcludedIds = [];
+        this.dryRunMessage = null;
+        this.isLoadingDryRun = true;
+
+        previewAutoFix({
+            recordIds: [...this._selectedRowIds],
+            fixType: this.effectiveFixType
+        })
+        .then(result => {
+            this.dryRunMessage = result?.message || null;
+            if (!result?.isSupported) {
+                return;
+            }
+            this.dryRunChanges = (result.changes || []).map(change => {
+                const newDisplay = change.newValue ?? '(blank)';
+                return {
+                    ...change,
+                    currentDisplay: change.currentValue ?? '(blank)',
+                    newDisplay: change.note ? `${newDisplay} - ${change.note}` : newDisplay,
+                    newValueClass: change.isChanged ? 'slds-text-title_bold' : 'slds-text-color_weak'
+                };
+            });
+        })
+        .catch(err => {
+            // The plain confirmation message still describes the fix
+            this.dryRunMessage = 'Preview unavailable: ' + (err?.body?.message || 'unknown error');
+        })
+        .finally(() => {
+            this.isLoadingDryRun = false;
+        });
+    }
+
+    get hasDryRunChanges() {
+        return this.dryRunChanges.length > 0;
+    }
+
+    get dryRunSelectedKeys() {
+        const excluded = new Set(this.dryRunExcludedIds);
+        return this.dryRunChanges.filter(change => !excluded.has(change.recordId)).map(change => change.key);
+    }
+
+    get dryRunUnchangedCount() {
+        const changedIds = new Set(this.dryRunChanges.filter(change => change.isChanged).map(change => change.recordId));
+        return new Set(this.dryRunChanges.map(change => change.recordId)).size - changedIds.size;
+    }
+
+    get confirmationCount() {
+        const excluded = new Set(this.dryRunExcludedIds);
+        return this._selectedRowIds.filter(id => !excluded.has(id)).length;
+    }
+
+    get confirmationContainerStyle() {
+        return this.hasDryRunChanges ? 'max-width: 860px;' : 'max-width: 550px;';
+    }
+
+    get isApplyFixDisabled() {
+        return this.isLoadingDryRun || this.confirmationCount === 0;
+    }
+
+    // --- Approval ---
+
+    requiresApproval(recordCount) {
+        const policy = this.approvalPolicy;
+        if (!policy) {
+            return false;
+        }
+        return policy.ruleRequiresApproval || (policy.recordThreshold > 0 && recordCount > policy.recordThreshold);
+    }
+
+    // Deselecting records in the dry run can bring a fix back under the threshold
+    get confirmationNeedsApproval() {
+        return this.requiresApproval(this.confirmationCount);
+    }
+
+    get confirmationHeading() {
+        return this.confirmationNeedsApproval
+            ? `Submit ${this.fixTypeDisplayName} for Approval`
+            : `Confirm ${this.fixTypeDisplayName}`;
+    }
+
+    get confirmationActionLabel() {
+        return this.confirmationNeedsApproval ? 'Submit for Approval' : 'Apply Fix';
+    }
+
+    get approvalNotice() {
+        if (this.approvalPolicy?.ruleRequiresApproval) {
+            return 'This rule is marked as requiring approval. The fix will run once an approver accepts it in the Fix Approvals queue.';
         }
+        return `Fixes over ${this.approvalPolicy?.recordThreshold} records require approval. `
+            + 'The fix will run once an approver accepts it in the Fix Approvals queue.';
+    }
+
+    // A record is fixed as a whole, so toggling any of its field rows toggles all of them
+    handleDryRunSelection(event) {
+        const previous = new Set(this.dryRunSelectedKeys);
+        const selected = new Set(event.detail.selectedRows.map(row => row.key));
+        const excluded = new Set(this.dryRunExcludedIds);
+
+        this.dryRunChanges.forEach(change => {
+            const isSelected = selected.has(change.key);
+            if (previous.has(change.key) !== isSelected) {
+                if (isSelected) {
+                    excluded.delete(change.recordId);
+                } else {
+                    excluded.add(change.recordId);
+                }
+            }
+        });
+        this.dryRunExcludedIds = [...excluded];
     }
 
     // Handler for "Don't show again" checkbox
@@ -571,12 +1077,16 @@ export default class RemediationPreview extends LightningElement {
     handleConfirmationCancel() {
         this.showConfirmation = false;
         this.dontShowAgain = false;
+        this.dryRunChanges = [];
+        this.dryRunExcludedIds = [];
     }
 
     // Handler for confirmation proceed button
     handleConfirmationProceed() {
+        const needsApproval = this.confirmationNeedsApproval;
+
         // Save preference if checkbox was checked
-        if (this.dontShowAgain) {
+        if (this.dontShowAgain && !needsApproval) {
             try {
                 localStorage.setItem(RemediationPreview.CONFIRMATION_SKIP_KEY, 'true');
             } catch (e) {
@@ -584,29 +1094,74 @@ export default class RemediationPreview extends LightningElement {
             }
         }
 
+        // Records deselected in the dry run are left out of this fix but stay pending
+        if (this.dryRunExcludedIds.length > 0) {
+            const excluded = new Set(this.dryRunExcludedIds);
+            this._selectedRowIds = this._selectedRowIds.filter(id => !excluded.has(id));
+        }
+        this.dryRunChanges = [];
+        this.dryRunExcludedIds = [];
+
         this.showConfirmation = false;
-        this.handleConfirmFix();
+        if (needsApproval) {
+            this.submitForApproval([...this._selectedRowIds]);
+        } else {
+            this.handleConfirmFix();
+        }
+    }
+
+    // Holds the fix in the Fix Approvals queue with a server-side dry run; nothing changes until it is approved
+    submitForApproval(selectedIds) {
+        this.isFixing = true;
+
+        submitFixRequest({
+            recordIds: selectedIds,
+            fixType: this.effectiveFixType,
+            painPointId: this.painPointId || null
+        })
+        .then(request => {
+            // Held records leave the preview until the request is decided
+            const submitted = new Set(selectedIds);
+            this.pendingRecords = this.pendingRecords.filter(r => !submitted.has(r.Id));
+            this.failedRecords = this.failedRecords.filter(r => !submitted.has(r.Id));
+            this._selectedFailedIds = this._selectedFailedIds.filter(id => !submitted.has(id));
+            this._selectedRowIds = [];
+            if (!this.hasFailedRecords) {
+                this.activeTab = 'pending';
+            }
+
+            this.showToast('Submitted for Approval',
+                `${request.name} sent ${request.recordCount} record(s) to the Fix Approvals queue.`, 'success');
+        })
+        .catch(err => {
+            this.showToast('Error', err?.body?.message || 'Could not submit the fix for approval.', 'error');
+        })
+        .finally(() => {
+            this.isFixing = false;
+        });
     }
 
     // Actual fix execution (called after confirmation or directly if skipped)
     handleConfirmFix() {
+        this.runFix([...this._selectedRowIds]);
+    }
+
+    runFix(selectedIds) {
         this.isFixing = true;
-        // Use ruleDeveloperName for PatternFixService - this is the metadata key that defines the fix logic
-        // Falls back to fixType or object-based mapping for backward compatibility
-        const effectiveFixType = this.ruleDeveloperName || this.fixType || this.mapObjectToFixType(this.objectApiName);
-        const selectedIds = [...this._selectedRowIds];
 
         runAutoFix({
             recordIds: selectedIds,
-            fixType: effectiveFixType
+            fixType: this.effectiveFixType
         })
         .then(result => {
-            // result is now an AutoFixResult object with message and fixedRecordIds
+            // result is an AutoFixResult with fixedRecordIds and per-record failures
             const fixedIdSet = new Set(result.fixedRecordIds || selectedIds.map(id => String(id)));
+            const failureById = new Map((result.failures || []).map(failure => [failure.recordId, failure]));
+            const attempted = new Set(selectedIds);
+            const candidates = [...this.pendingRecords, ...this.failedRecords];
 
-            // Move fixed records from pending to fixed
-            const nowFixed = this.pendingRecords.filter(r => fixedIdSet.has(r.Id));
-            const stillPending = this.pendingRecords.filter(r => !fixedIdSet.has(r.Id));
+            // Move fixed records from pending (or failed, on retry) to fixed
+            const nowFixed = candidates.filter(r => fixedIdSet.has(r.Id));
 
             // Add timestamp to fixed records for display
             const timestamp = new Date().toLocaleTimeString();
@@ -614,9 +1169,15 @@ export default class RemediationPreview extends LightningElement {
                 r.fixedAt = timestamp;
             });
 
+            const nowFailed = candidates
+                .filter(r => failureById.has(r.Id))
+                .map(r => ({ ...r, errorMessage: failureById.get(r.Id).errorMessage }));
+
             // Update state - "Inbox Zero" pattern
             this.fixedRecords = [...nowFixed, ...this.fixedRecords];
-            this.pendingRecords = stillPending;
+            this.pendingRecords = this.pendingRecords.filter(r => !fixedIdSet.has(r.Id) && !failureById.has(r.Id));
+            this.failedRecords = [...nowFailed, ...this.failedRecords.filter(r => !attempted.has(r.Id))];
+            this._selectedFailedIds = this.failedRecords.map(r => r.Id);
 
             // Mark that we've completed at least one fix in this session
             this.hasCompletedFix = true;
@@ -624,9 +1185,19 @@ export default class RemediationPreview extends LightningElement {
             // Clear selection
             this._selectedRowIds = [];
 
-            // Show success toast
-            this.showToast('Success', result.message || `Fixed ${result.fixedCount} records`, 'success');
+            if (nowFailed.length > 0) {
+                this.activeTab = 'failed';
+                this.showToast('Some Records Failed', result.message, 'warning');
+            } else {
+                if (!this.hasFailedRecords) {
+                    this.activeTab = 'pending';
+                }
+                this.showToast('Success', result.message || `Fixed ${result.fixedCount} records`, 'success');
+            }
 
+            if (!result.fixedCount) {
+                return;
+            }
 
             // Dispatch event for parent component with fixed record IDs for pain point resolution
             this.dispatchEvent(new CustomEvent('fixcomplete', {
@@ -634,7 +1205,8 @@ export default class RemediationPreview extends LightningElement {
                 composed: true,
                 detail: {
                     fixedCount: result.fixedCount,
-                    remainingCount: this.pendingCount,
+                    failedCount: this.failedCount,
+                    remainingCount: this.pendingCount + this.failedCount,
                     ruleDeveloperName: this.ruleDeveloperName,
                     fixedRecordIds: result.fixedRecordIds || selectedIds
                 }
@@ -648,6 +1220,326 @@ export default class RemediationPreview extends LightningElement {
         });
     }
 
+    // --- Failed Records ---
+
+    get failedCount() {
+        return this.failedRecords.length;
+    }
+
+    get hasFailedRecords() {
+        return this.failedRecords.length > 0;
+    }
+
+    get pendingTabLabel() {
+        return `Pending (${this.pendingCount})`;
+    }
+
+    get failedTabLabel() {
+        return `Failed (${this.failedCount})`;
+    }
+
+    get failedColumns() {
+        return [
+            ...this.columns.map(column => ({ ...column, sortable: false })),
+            { label: 'Error', fieldName: 'errorMessage', type: 'text', wrapText: true, initialWidth: 320 }
+        ];
+    }
+
+    get selectedFailedRows() {
+        return this._selectedFailedIds;
+    }
+
+    get retryLabel() {
+        const count = this._selectedFailedIds.length;
+        return this.requiresApproval(count) ? `Submit ${count} for Approval` : `Retry ${count} Failed`;
+    }
+
+    get retryDisabled() {
+        return this._selectedFailedIds.length === 0 || this.isFixing || this.isFixJobRunning;
+    }
+
+    handleTabActive(event) {
+        this.activeTab = event.target.value;
+    }
+
+    handleFailedRowSelection(event) {
+        this._selectedFailedIds = event.detail.selectedRows.map(row => row.Id);
+    }
+
+    // Re-runs the fix for the selected failed records; ones that fail again stay here with the new error
+    handleRetryFailed() {
+        if (this._selectedFailedIds.length === 0) {
+            return;
+        }
+        if (this.requiresApproval(this._selectedFailedIds.length)) {
+            this.submitForApproval([...this._selectedFailedIds]);
+            return;
+        }
+        this.runFix([...this._selectedFailedIds]);
+    }
+
+    // --- Fix All (background run) ---
+
+    get fixJobKey() {
+        return RemediationPreview.FIX_JOB_KEY + this.ruleDeveloperName;
+    }
+
+    // Fix All can't be held for approval; the server also refuses runs over the approval threshold
+    get showFixAllButton() {
+        return !this.readOnly && this.hasPendingRecords && !this.fixJob && !this.approvalPolicy?.ruleRequiresApproval;
+    }
+
+    get fixAllDisabled() {
+        return this.isFixing || this.isStartingFixAll;
+    }
+
+    get isFixJobRunning() {
+        return !!this.fixJob && !this.fixJob.isComplete;
+    }
+
+    get fixJobProcessedCount() {
+        if (!this.fixJob) {
+            return 0;
+        }
+        const processed = (this.fixJob.succeededCount || 0) + (this.fixJob.failedCount || 0);
+        return this.fixJob.totalCount ? Math.min(processed, this.fixJob.totalCount) : processed;
+    }
+
+    get fixJobProgress() {
+        if (!this.fixJob) {
+            return 0;
+        }
+        if (this.fixJob.isComplete) {
+            return 100;
+        }
+        return this.fixJob.totalCount ? Math.round((this.fixJobProcessedCount * 100) / this.fixJob.totalCount) : 0;
+    }
+
+    get fixJobStatusLabel() {
+        if (!this.fixJob) {
+            return '';
+        }
+        if (this.fixJob.isComplete) {
+            return this.fixJob.failedCount > 0 ? 'Fix All finished with errors' : 'Fix All finished';
+        }
+        return ['Queued', 'Holding', 'Preparing'].includes(this.fixJob.status)
+            ? 'Fix All is waiting to start'
+            : 'Fix All is running';
+    }
+
+    get fixJobSummary() {
+        const job = this.fixJob || {};
+        return `${this.fixJobProcessedCount} of ${job.totalCount || 0} processed - `
+            + `${job.succeededCount || 0} succeeded, ${job.failedCount || 0} failed`;
+    }
+
+    get fixJobAlertClass() {
+        const theme = this.fixJob?.isComplete && this.fixJob.failedCount > 0 ? 'slds-theme_warning' : 'slds-theme_shade';
+        return `slds-box slds-box_x-small slds-m-bottom_medium ${theme}`;
+    }
+
+    handleFixAllClick() {
+        this.showFixAllConfirmation = true;
+    }
+
+    handleFixAllCancel() {
+        this.showFixAllConfirmation = false;
+    }
+
+    // Queues a batch run over every matching record, including those beyond the 200 loaded here
+    handleFixAllProceed() {
+        this.showFixAllConfirmation = false;
+        this.isStartingFixAll = true;
+
+        startFixAll({
+            fixType: this.effectiveFixType,
+            excludeRecordIds: this.fixedRecordIds || '',
+            painPointId: this.painPointId || null
+        })
+        .then(result => {
+            this.fixJob = { ...result };
+            this.writeFixJob({ jobId: result.jobId, totalCount: result.totalCount });
+            this.showToast('Fix All Started',
+                `Fixing ${result.totalCount} record(s) in the background. You can close this window.`, 'info');
+            this.scheduleFixJobPoll();
+        })
+        .catch(err => {
+            this.showToast('Error', err?.body?.message || 'Could not start Fix All.', 'error');
+        })
+        .finally(() => {
+            this.isStartingFixAll = false;
+        });
+    }
+
+    // Picks up a run started earlier for this rule so its progress shows after reopening
+    resumeFixJob() {
+        const stored = this.readFixJob();
+        if (!stored) {
+            return;
+        }
+        this.fixJob = {
+            jobId: stored.jobId,
+            totalCount: stored.totalCount,
+            status: 'Queued',
+            isComplete: false,
+            succeededCount: 0,
+            failedCount: 0
+        };
+        this.pollFixJob();
+    }
+
+    scheduleFixJobPoll() {
+        clearTimeout(this._fixJobTimeout);
+        // eslint-disable-next-line @lwc/lwc/no-async-operation
+        this._fixJobTimeout = setTimeout(() => {
+            this.pollFixJob();
+        }, FIX_JOB_POLL_MS);
+    }
+
+    pollFixJob() {
+        const job = this.fixJob;
+        if (!job) {
+            return;
+        }
+
+        getFixJobStatus({ jobId: job.jobId })
+            .then(status => {
+                this.fixJob = { ...status, totalCount: job.totalCount };
+                if (status.isComplete) {
+                    this.handleFixJobComplete();
+                } else {
+                    this.scheduleFixJobPoll();
+                }
+            })
+            .catch(err => {
+                // Job no longer readable (e.g. purged) - stop tracking it
+                console.warn('Could not read Fix All progress:', err);
+                this.writeFixJob(null);
+                this.fixJob = null;
+            });
+    }
+
+    handleFixJobComplete() {
+        const job = this.fixJob;
+        this.writeFixJob(null);
+
+        if (job.failedCount > 0) {
+            const detail = job.errorMessage ? ` Last error: ${job.errorMessage}` : '';
+            this.showToast('Fix All Finished',
+                `Fixed ${job.succeededCount} record(s); ${job.failedCount} could not be fixed.${detail}`, 'warning');
+        } else {
+            this.showToast('Fix All Finished', `Fixed ${job.succeededCount} record(s).`, 'success');
+        }
+        if (job.succeededCount > 0) {
+            this.hasCompletedFix = true;
+        }
+
+        // The batch resolves the pain point itself; the parent only needs to refresh
+        this.dispatchEvent(new CustomEvent('fixjobcomplete', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                jobId: job.jobId,
+                succeededCount: job.succeededCount,
+                failedCount: job.failedCount,
+                ruleDeveloperName: this.ruleDeveloperName
+            }
+        }));
+        this.loadRecords();
+    }
+
+    handleFixJobDismiss() {
+        this.fixJob = null;
+    }
+
+    readFixJob() {
+        try {
+            const stored = localStorage.getItem(this.fixJobKey);
+            const job = stored ? JSON.parse(stored) : null;
+            return job && job.jobId ? job : null;
+        } catch (e) {
+            // localStorage might be unavailable or hold a stale value
+            return null;
+        }
+    }
+
+    writeFixJob(job) {
+        try {
+            if (job) {
+                localStorage.setItem(this.fixJobKey, JSON.stringify(job));
+            } else {
+                localStorage.removeItem(this.fixJobKey);
+            }
+        } catch (e) {
+            console.warn('Could not save Fix All job to localStorage:', e);
+        }
+    }
+
+    // --- Rollback Handlers ---
+
+    handleFixedRowSelection(event) {
+        this._selectedFixedIds = event.detail.selectedRows.map(row => row.Id);
+    }
+
+    handleRunChange(event) {
+        this.selectedRunId = event.detail.value;
+    }
+
+    handleRollbackSelectedClick() {
+        this.rollbackTarget = 'records';
+        this.showRollbackConfirmation = true;
+    }
+
+    handleRollbackRunClick() {
+        this.rollbackTarget = 'run';
+        this.showRollbackConfirmation = true;
+    }
+
+    handleRollbackCancel() {
+        this.showRollbackConfirmation = false;
+        this.rollbackTarget = null;
+    }
+
+    handleRollbackProceed() {
+        const request = this.rollbackTarget === 'run'
+            ? rollbackFixRun({ painPointId: this.painPointId, fixRunId: this.selectedRunId })
+            : rollbackFixedRecords({ painPointId: this.painPointId, recordIds: [...this._selectedFixedIds] });
+
+        this.showRollbackConfirmation = false;
+        this.rollbackTarget = null;
+        this.isRollingBack = true;
+
+        request
+            .then(result => {
+                this.rollbackResult = result;
+
+                // Reverted records are no longer fixed - drop them from the view
+                const reverted = new Set(result.revertedRecordIds || []);
+                this.fixedRecords = this.fixedRecords.filter(r => !reverted.has(r.Id));
+                this._selectedFixedIds = this._selectedFixedIds.filter(id => !reverted.has(id));
+                this.loadFixRuns();
+
+                const variant = result.failedCount > 0 ? 'warning' : 'success';
+                this.showToast(result.failedCount > 0 ? 'Partially Rolled Back' : 'Rolled Back', this.rollbackSummary, variant);
+
+                this.dispatchEvent(new CustomEvent('rollbackcomplete', {
+                    bubbles: true,
+                    composed: true,
+                    detail: {
+                        painPointId: this.painPointId,
+                        rolledBackCount: result.rolledBackCount,
+                        revertedRecordIds: result.revertedRecordIds
+                    }
+                }));
+            })
+            .catch(err => {
+                this.showToast('Error', err?.body?.message || 'Rollback failed.', 'error');
+            })
+            .finally(() => {
+                this.isRollingBack = false;
+            });
+    }
+
     handleSelectAll() {
         this._selectedRowIds = this.pendingRecords.map(r => r.Id);
     }
@@ -0,0 +1,121 @@
+import { LightningElement, api, track } from 'lwc';
+import getRuleExecutions from '@salesforce/apex/PatternRuleManagerController.getRuleExecutions';
+
+const EXECUTION_COLUMNS = [
+    {
+        label: 'Started',
+        fieldName: 'startedAt',
+        type: 'date',
+        typeAttributes: { month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' }
+    },
+    {
+        label: 'Status',
+        fieldName: 'status',
+        type: 'text',
+        cellAttributes: {
+            class: { fieldName: 'statusClass' },
+            iconName: { fieldName: 'statusIcon' },
+            iconPosition: 'left'
+        }
+    },
+    { label: 'Duration (ms)', fieldName: 'durationMs', type: 'number' },
+    { label: 'Records Matched', fieldName: 'recordsMatched', type: 'number' },
+    { label: 'Error', fieldName: 'errorMessage', type: 'text', wrapText: true }
+];
+
+const CIRCUIT_LABELS = { Closed: 'Closed', Half_Open: 'Half-Open', Open: 'Open' };
+
+/**
+ * Execution health for one pattern rule: its circuit breaker state from Rule_Execution_Health__c
+ * and its recent runs from Rule_Execution__c. The rule is the RuleWrapper from the rule list, so
+ * the circuit state updates when the parent refreshes its rules.
+ * Fires `resetcircuit` with detail { developerName } and `close`.
+ */
+export default class RuleExecutionHealth extends LightningElement {
+    @api rule;
+
+    @track executions = [];
+    columns = EXECUTION_COLUMNS;
+    isLoading = true;
+    error = null;
+
+    connectedCallback() {
+        this.loadExecutions();
+    }
+
+    loadExecutions() {
+        this.isLoading = true;
+        getRuleExecutions({ ruleDeveloperName: this.rule.developerName })
+            .then(result => {
+                this.executions = (result || []).map(execution => ({
+                    ...execution,
+                    statusClass: execution.status === 'Failed' ? 'slds-text-color_error' : 'slds-text-color_success',
+                    statusIcon: execution.status === 'Failed' ? 'utility:error' : 'utility:success'
+                }));
+                this.error = null;
+            })
+            .catch(err => {
+                this.error = err?.body?.message || 'Unable to load rule executions.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get modalTitle() {
+        return `Execution Health: ${this.rule.label || this.rule.developerName}`;
+    }
+
+    get circuitState() {
+        return this.rule.circuitState || 'Closed';
+    }
+
+    get circuitLabel() {
+        return CIRCUIT_LABELS[this.circuitState] || this.circuitState;
+    }
+
+    get circuitClass() {
+        if (this.circuitState === 'Open') {
+            return 'slds-text-heading_small slds-text-color_error';
+        }
+        return this.circuitState === 'Closed'
+            ? 'slds-text-heading_small slds-text-color_success'
+            : 'slds-text-heading_small';
+    }
+
+    get circuitDescription() {
+        if (this.circuitState === 'Open') {
+            return 'The rule is skipped by the analysis until the cooldown ends, after which one trial run is allowed.';
+        }
+        if (this.circuitState === 'Half_Open') {
+            return 'The next run is a trial: success closes the circuit, failure opens it again.';
+        }
+        return 'The rule runs normally.';
+    }
+
+    get isCooling() {
+        return this.circuitState === 'Open' && !!this.rule.cooldownUntil;
+    }
+
+    get hasExecutions() {
+        return this.executions.length > 0;
+    }
+
+    get isResetDisabled() {
+        return this.circuitState === 'Closed' && !(this.rule.consecutiveFailures > 0);
+    }
+
+    handleReset() {
+        this.dispatchEvent(new CustomEvent('resetcircuit', {
+            detail: { developerName: this.rule.developerName }
+        }));
+    }
+
+    handleRefresh() {
+        this.loadExecutions();
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
@@ -0,0 +1,167 @@
+import { LightningElement, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import previewRulePack from '@salesforce/apex/PatternRuleManagerController.previewRulePack';
+import importRulePack from '@salesforce/apex/PatternRuleManagerController.importRulePack';
+
+const STATUS_BADGE_CLASSES = {
+    New: 'slds-badge slds-theme_success',
+    Changed: 'slds-badge slds-theme_warning',
+    Unchanged: 'slds-badge',
+    Invalid: 'slds-badge slds-theme_error'
+};
+
+/**
+ * Import wizard for rule packs exported by patternRuleManager. Step 1 takes a JSON file or pasted
+ * JSON; step 2 shows each rule as New, Changed, Unchanged or Invalid (with its errors or changed
+ * fields) and deploys the new and changed rules together.
+ * Fires `import` with detail { jobId, ruleCount } and `close`.
+ */
+export default class RulePackImport extends LightningElement {
+    @track items = [];
+    packJson = '';
+    fileName = null;
+    step = 'upload'; // 'upload' | 'review'
+    isValidating = false;
+    isImporting = false;
+    error = null;
+
+    get isUploadStep() {
+        return this.step === 'upload';
+    }
+
+    get isReviewStep() {
+        return this.step === 'review';
+    }
+
+    get isValidateDisabled() {
+        return !this.packJson || !this.packJson.trim() || this.isValidating;
+    }
+
+    get reviewItems() {
+        return this.items.map((item, index) => ({
+            ...item,
+            key: `${index}-${item.developerName}`,
+            badgeClass: STATUS_BADGE_CLASSES[item.status] || 'slds-badge',
+            hasErrors: item.errors && item.errors.length > 0,
+            hasChanges: item.status === 'Changed',
+            errorItems: (item.errors || []).map((message, errorIndex) => ({ key: `${index}-e${errorIndex}`, message })),
+            changeItems: (item.changes || []).map(change => ({
+                ...change,
+                oldDisplay: change.oldValue == null || change.oldValue === '' ? '(blank)' : change.oldValue,
+                newDisplay: change.newValue == null || change.newValue === '' ? '(blank)' : change.newValue
+            }))
+        }));
+    }
+
+    countByStatus(status) {
+        return this.items.filter(item => item.status === status).length;
+    }
+
+    get newCount() {
+        return this.countByStatus('New');
+    }
+
+    get changedCount() {
+        return this.countByStatus('Changed');
+    }
+
+    get unchangedCount() {
+        return this.countByStatus('Unchanged');
+    }
+
+    get invalidCount() {
+        return this.countByStatus('Invalid');
+    }
+
+    get hasInvalidRules() {
+        return this.invalidCount > 0;
+    }
+
+    get deployCount() {
+        return this.newCount + this.changedCount;
+    }
+
+    get importLabel() {
+        return `Import ${this.deployCount} Rule${this.deployCount === 1 ? '' : 's'}`;
+    }
+
+    get isImportDisabled() {
+        return this.hasInvalidRules || this.deployCount === 0 || this.isImporting;
+    }
+
+    get reviewNote() {
+        if (this.hasInvalidRules) {
+            return 'Fix the invalid rules in the pack and validate it again. Nothing is deployed while any rule is invalid.';
+        }
+        if (this.deployCount === 0) {
+            return 'Every rule in the pack matches the deployed rule. There is nothing to import.';
+        }
+        return 'New and changed rules are deployed together in one deployment. Unchanged rules are skipped.';
+    }
+
+    handleFileChange(event) {
+        const file = event.target.files && event.target.files[0];
+        if (!file) {
+            return;
+        }
+        const reader = new FileReader();
+        reader.onload = () => {
+            this.packJson = reader.result;
+            this.fileName = file.name;
+            this.error = null;
+        };
+        reader.onerror = () => {
+            this.error = 'Unable to read the selected file.';
+        };
+        reader.readAsText(file);
+    }
+
+    handlePackJsonChange(event) {
+        this.packJson = event.target.value;
+        this.fileName = null;
+    }
+
+    handleValidate() {
+        this.isValidating = true;
+        this.error = null;
+        previewRulePack({ packJson: this.packJson })
+            .then(result => {
+                this.items = result || [];
+                this.step = 'review';
+            })
+            .catch(err => {
+                this.error = err?.body?.message || 'Unable to read the rule pack.';
+            })
+            .finally(() => {
+                this.isValidating = false;
+            });
+    }
+
+    handleBack() {
+        this.step = 'upload';
+        this.items = [];
+    }
+
+    handleImport() {
+        const ruleCount = this.deployCount;
+        this.isImporting = true;
+        importRulePack({ packJson: this.packJson })
+            .then(jobId => {
+                this.dispatchEvent(new CustomEvent('import', { detail: { jobId, ruleCount } }));
+            })
+            .catch(err => {
+                this.showToast('Import Failed', err?.body?.message || 'Unable to import the rule pack.', 'error');
+            })
+            .finally(() => {
+                this.isImporting = false;
+            });
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}
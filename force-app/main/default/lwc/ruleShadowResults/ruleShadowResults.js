@@ -0,0 +1,165 @@
+import { LightningElement, api, track } from 'lwc';
+import getShadowResults from '@salesforce/apex/PatternRuleManagerController.getShadowResults';
+
+const RUN_COLUMNS = [
+    {
+        label: 'Date',
+        fieldName: 'snapshotDate',
+        type: 'date-local',
+        typeAttributes: { year: 'numeric', month: 'short', day: '2-digit' }
+    },
+    { label: 'Would-Be Count', fieldName: 'recordCount', type: 'number' },
+    {
+        label: 'Estimated Impact',
+        fieldName: 'impactScore',
+        type: 'currency',
+        typeAttributes: { currencyCode: 'USD' }
+    },
+    { label: 'Samples', fieldName: 'sampleCount', type: 'number' }
+];
+
+// Schema.DisplayType -> lightning-datatable column type (anything else is text)
+const DATATABLE_TYPES = {
+    BOOLEAN: 'boolean',
+    CURRENCY: 'currency',
+    DATE: 'date-local',
+    DATETIME: 'date',
+    DOUBLE: 'number',
+    EMAIL: 'email',
+    INTEGER: 'number',
+    LONG: 'number',
+    PERCENT: 'number',
+    PHONE: 'phone',
+    URL: 'url'
+};
+
+function toDatatableColumn({ label, fieldName, dataType }) {
+    const column = { label, fieldName, type: DATATABLE_TYPES[dataType] || 'text' };
+    if (dataType === 'DATETIME') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+    } else if (dataType === 'DATE') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit' };
+    }
+    return column;
+}
+
+/**
+ * What a shadow-mode rule would have reported: one row per analysis day from its shadow
+ * snapshots, and the sample records of the selected day, so the author can check the rule's
+ * precision before its findings reach the dashboard.
+ * Fires `promote` with detail { developerName } and `close`.
+ */
+export default class RuleShadowResults extends LightningElement {
+    @api rule;
+
+    @track runs = [];
+    @track sampleColumns = [];
+    records = [];
+    runColumns = RUN_COLUMNS;
+    selectedDate = null;
+    isLoading = true;
+    error = null;
+
+    connectedCallback() {
+        this.loadResults();
+    }
+
+    loadResults() {
+        this.isLoading = true;
+        getShadowResults({ developerName: this.rule.developerName })
+            .then(result => {
+                this.runs = (result?.runs || []).map(run => ({
+                    ...run,
+                    sampleCount: (run.sampleRecordIds || []).length
+                }));
+                this.sampleColumns = (result?.columns || []).map(toDatatableColumn);
+                this.records = result?.records || [];
+                // Show the latest run's samples until another day is selected
+                if (!this.runs.some(run => run.snapshotDate === this.selectedDate)) {
+                    this.selectedDate = this.runs.length > 0 ? this.runs[0].snapshotDate : null;
+                }
+                this.error = null;
+            })
+            .catch(err => {
+                this.error = err?.body?.message || 'Unable to load shadow results.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get modalTitle() {
+        return `Shadow Results: ${this.rule.label || this.rule.developerName}`;
+    }
+
+    get hasRuns() {
+        return this.runs.length > 0;
+    }
+
+    get latestRun() {
+        return this.hasRuns ? this.runs[0] : null;
+    }
+
+    get averageCount() {
+        if (!this.hasRuns) {
+            return 0;
+        }
+        const total = this.runs.reduce((sum, run) => sum + (run.recordCount || 0), 0);
+        return Math.round(total / this.runs.length);
+    }
+
+    get selectedRows() {
+        return this.selectedDate ? [this.selectedDate] : [];
+    }
+
+    get selectedRun() {
+        return this.runs.find(run => run.snapshotDate === this.selectedDate) || null;
+    }
+
+    get sampleRecords() {
+        const ids = new Set(this.selectedRun?.sampleRecordIds || []);
+        return this.records.filter(record => ids.has(record.Id));
+    }
+
+    get hasSampleRecords() {
+        return this.sampleRecords.length > 0;
+    }
+
+    get sampleSummary() {
+        const run = this.selectedRun;
+        if (!run) {
+            return '';
+        }
+        const missing = run.sampleCount - this.sampleRecords.length;
+        let summary = `Sample of ${this.sampleRecords.length} of the ${run.recordCount} records matched on this day.`;
+        if (missing > 0) {
+            summary += ` ${missing} sampled record${missing === 1 ? ' is' : 's are'} no longer available.`;
+        }
+        return summary;
+    }
+
+    get isPromoteDisabled() {
+        return !this.rule.isShadow;
+    }
+
+    handleRunSelection(event) {
+        const selected = event.detail.selectedRows;
+        if (selected.length > 0) {
+            this.selectedDate = selected[0].snapshotDate;
+        }
+    }
+
+    handleRefresh() {
+        this.loadResults();
+    }
+
+    handlePromote() {
+        this.dispatchEvent(new CustomEvent('promote', {
+            detail: { developerName: this.rule.developerName }
+        }));
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+}
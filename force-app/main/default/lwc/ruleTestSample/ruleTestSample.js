@@ -0,0 +1,66 @@
+import { LightningElement, api } from 'lwc';
+
+// Schema.DisplayType -> lightning-datatable column type (anything else is text)
+const DATATABLE_TYPES = {
+    BOOLEAN: 'boolean',
+    CURRENCY: 'currency',
+    DATE: 'date-local',
+    DATETIME: 'date',
+    DOUBLE: 'number',
+    EMAIL: 'email',
+    INTEGER: 'number',
+    LONG: 'number',
+    PERCENT: 'number',
+    PHONE: 'phone',
+    URL: 'url'
+};
+
+function toDatatableColumn({ label, fieldName, dataType }) {
+    const column = { label, fieldName, type: DATATABLE_TYPES[dataType] || 'text' };
+    if (dataType === 'DATETIME') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit', hour: '2-digit', minute: '2-digit' };
+    } else if (dataType === 'DATE') {
+        column.typeAttributes = { year: 'numeric', month: 'short', day: '2-digit' };
+    }
+    return column;
+}
+
+/**
+ * Shows the result of PatternRuleManagerController.testPatternSample in the rule editor:
+ * how many matches the global exclusions remove, the estimated financial impact and the
+ * first sample records, so authors can judge precision before saving.
+ */
+export default class RuleTestSample extends LightningElement {
+    @api sample;
+
+    get columns() {
+        return (this.sample?.columns || []).map(toDatatableColumn);
+    }
+
+    get records() {
+        return this.sample?.records || [];
+    }
+
+    get hasRecords() {
+        return this.records.length > 0;
+    }
+
+    get hasExclusion() {
+        return !!this.sample?.exclusionCondition;
+    }
+
+    get sampleSummary() {
+        return `Showing the first ${this.records.length} of ${this.sample.countAfterExclusions} records the analysis would flag.`;
+    }
+
+    get exclusionSummary() {
+        const excluded = this.sample.excludedCount;
+        return excluded === 1
+            ? '1 matching record is removed by the global exclusion'
+            : `${excluded} matching records are removed by the global exclusion`;
+    }
+
+    get showCostHint() {
+        return this.sample?.costPerIncident == null && !this.sample?.estimatedImpact;
+    }
+}
@@ -0,0 +1,159 @@
+import { LightningElement, api, track } from 'lwc';
+import { ShowToastEvent } from 'lightning/platformShowToastEvent';
+import getRuleVersions from '@salesforce/apex/PatternRuleManagerController.getRuleVersions';
+import restoreRuleVersion from '@salesforce/apex/PatternRuleManagerController.restoreRuleVersion';
+
+/**
+ * Version history for one pattern rule. Lists saved versions newest first, shows the
+ * field-by-field changes each version made, and redeploys an earlier version on request.
+ * Fires `restore` with detail { developerName, versionNumber, jobId } and `close`.
+ */
+export default class RuleVersionHistory extends LightningElement {
+    @api developerName;
+    @api ruleLabel;
+
+    @track versions = [];
+    selectedVersionId = null;
+    isLoading = true;
+    isRestoring = false;
+    isConfirmingRestore = false;
+    error = null;
+
+    connectedCallback() {
+        this.loadVersions();
+    }
+
+    loadVersions() {
+        this.isLoading = true;
+        getRuleVersions({ developerName: this.developerName })
+            .then(result => {
+                this.versions = result || [];
+                this.selectedVersionId = this.versions.length ? this.versions[0].id : null;
+                this.error = null;
+            })
+            .catch(err => {
+                this.error = err?.body?.message || 'Unable to load rule versions.';
+            })
+            .finally(() => {
+                this.isLoading = false;
+            });
+    }
+
+    get modalTitle() {
+        return `Version History: ${this.ruleLabel || this.developerName}`;
+    }
+
+    get hasVersions() {
+        return this.versions.length > 0;
+    }
+
+    get versionItems() {
+        return this.versions.map(version => ({
+            ...version,
+            title: `Version ${version.versionNumber}`,
+            isDeploying: version.deployStatus === 'Pending',
+            isDeployFailed: version.deployStatus === 'Failed',
+            itemClass: version.id === this.selectedVersionId
+                ? 'slds-nav-vertical__item slds-is-active'
+                : 'slds-nav-vertical__item'
+        }));
+    }
+
+    get selectedVersion() {
+        return this.versions.find(version => version.id === this.selectedVersionId) || null;
+    }
+
+    get selectedChanges() {
+        const version = this.selectedVersion;
+        if (!version || !version.changes) {
+            return [];
+        }
+        return version.changes.map(change => ({
+            ...change,
+            oldDisplay: change.oldValue == null || change.oldValue === '' ? '(blank)' : change.oldValue,
+            newDisplay: change.newValue == null || change.newValue === '' ? '(blank)' : change.newValue
+        }));
+    }
+
+    get isSelectedDeployFailed() {
+        return this.selectedVersion?.deployStatus === 'Failed';
+    }
+
+    get hasSelectedChanges() {
+        return this.selectedChanges.length > 0;
+    }
+
+    get isFirstVersion() {
+        const version = this.selectedVersion;
+        return !!version && version.id === this.versions[this.versions.length - 1].id;
+    }
+
+    get changesHeading() {
+        return this.isFirstVersion ? 'Values in this version' : 'Changes from the previous version';
+    }
+
+    get selectedTitle() {
+        const version = this.selectedVersion;
+        return version ? `Version ${version.versionNumber}` : '';
+    }
+
+    get restoreLabel() {
+        const version = this.selectedVersion;
+        return version ? `Restore Version ${version.versionNumber}` : 'Restore';
+    }
+
+    get isRestoreDisabled() {
+        const version = this.selectedVersion;
+        return !version || version.isLatest || this.isRestoring;
+    }
+
+    get restoreWarning() {
+        const version = this.selectedVersion;
+        return version
+            ? `This redeploys every field of version ${version.versionNumber}, including its active status, and records the restore as a new version.`
+            : '';
+    }
+
+    handleSelectVersion(event) {
+        event.preventDefault();
+        this.selectedVersionId = event.currentTarget.dataset.id;
+        this.isConfirmingRestore = false;
+    }
+
+    handleRestore() {
+        this.isConfirmingRestore = true;
+    }
+
+    handleCancelRestore() {
+        this.isConfirmingRestore = false;
+    }
+
+    handleConfirmRestore() {
+        const version = this.selectedVersion;
+        if (!version) {
+            return;
+        }
+        this.isRestoring = true;
+        restoreRuleVersion({ versionId: version.id })
+            .then(jobId => {
+                this.dispatchEvent(new CustomEvent('restore', {
+                    detail: { developerName: this.developerName, versionNumber: version.versionNumber, jobId }
+                }));
+            })
+            .catch(err => {
+                this.showToast('Error', err?.body?.message || 'Unable to restore this version.', 'error');
+            })
+            .finally(() => {
+                this.isRestoring = false;
+                this.isConfirmingRestore = false;
+            });
+    }
+
+    handleClose() {
+        this.dispatchEvent(new CustomEvent('close'));
+    }
+
+    showToast(title, message, variant) {
+        this.dispatchEvent(new ShowToastEvent({ title, message, variant }));
+    }
+}